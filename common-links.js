@@ -66,6 +66,17 @@ function getTreeherderJobUrl(instance, currentData) {
     return `https://treeherder.mozilla.org/jobs?repo=${encodeURIComponent(repository)}&selectedTaskRun=${encodeURIComponent(taskIdString)}&revision=${encodeURIComponent(commitIdString)}`;
 }
 
+/**
+ * Generate Treeherder URL for the pushes from one revision to another
+ * @param {string} repository - Repository of the pushes (e.g., autoland)
+ * @param {string} fromRevision - Revision of the first push shown
+ * @param {string} toRevision - Revision of the last push shown
+ * @returns {string} - Treeherder URL
+ */
+function getTreeherderPushRangeUrl(repository, fromRevision, toRevision) {
+    return `https://treeherder.mozilla.org/jobs?repo=${encodeURIComponent(repository)}&fromchange=${encodeURIComponent(fromRevision)}&tochange=${encodeURIComponent(toRevision)}`;
+}
+
 /**
  * Render links for a crash instance (Profile + Crash Viewer + Treeherder Job)
  * @param {Object} crashInstance - Crash instance
@@ -222,6 +233,7 @@ if (typeof module !== 'undefined' && module.exports) {
         getProfilerUrl,
         getCrashViewerUrl,
         getTreeherderJobUrl,
+        getTreeherderPushRangeUrl,
         renderCrashLinks,
         getBugzillaUrl,
         getDataDateRange,
@@ -163,3 +163,53 @@ function computeTestStats(data, testId) {
         failureMessages,
     };
 }
+
+/**
+ * Collect the runs of a test in a daily data file, with the push each run
+ * tested. Runs of tasks without push info (files generated before it was
+ * recorded) are left out.
+ * @returns {Array} [{ status, time, repository, revision, pushId, pushTimestamp }],
+ *   times in seconds
+ */
+function getTestPushRuns(data, testPath) {
+    const test = findTest(data, testPath);
+    if (!test || !data.taskInfo.pushIds) return [];
+
+    const runs = [];
+    const testGroup = data.testRuns[test.testId];
+    for (let statusId = 0; statusId < testGroup.length; statusId++) {
+        const statusGroup = testGroup[statusId];
+        if (!statusGroup || !statusGroup.timestamps) continue;
+
+        let time = data.metadata.startTime;
+        for (let i = 0; i < statusGroup.timestamps.length; i++) {
+            time += statusGroup.timestamps[i];
+            const taskIdId = statusGroup.taskIdIds[i];
+            const pushId = data.taskInfo.pushIds[taskIdId];
+            if (pushId === null || pushId === undefined) continue;
+
+            const commitId = data.taskInfo.commitIds?.[taskIdId];
+            runs.push({
+                status: data.tables.statuses[statusId],
+                time,
+                repository: data.tables.repositories[data.taskInfo.repositoryIds[taskIdId]],
+                revision: commitId === null || commitId === undefined ? null : data.tables.commitIds[commitId],
+                pushId,
+                pushTimestamp: data.taskInfo.pushTimestamps[taskIdId]
+            });
+        }
+    }
+    return runs;
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        detectHarness,
+        getChunkIndex,
+        getCountAtIndex,
+        findTest,
+        computeTestStats,
+        getTestPushRuns
+    };
+}
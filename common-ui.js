@@ -394,6 +394,106 @@ function initSortManager(options) {
     };
 }
 
+// ===== Table Export =====
+
+/**
+ * Describe the view being exported: the page (with its query string, which
+ * holds the harness), the URL hash state and the export time
+ * @returns {{ page, state, exported }}
+ */
+function getExportHeader() {
+    const page = window.location.pathname.substring(window.location.pathname.lastIndexOf('/') + 1) || 'index.html';
+    return {
+        page: page + window.location.search,
+        state: Object.fromEntries(new URLSearchParams(window.location.hash.slice(1))),
+        exported: new Date().toISOString()
+    };
+}
+
+function formatCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format table rows for download
+ * @param {string} format - 'csv' or 'json'
+ * @param {Object} table - { columns: [{ key, label }], rows: [objects keyed by column key] }
+ * @param {Object} header - As returned by getExportHeader
+ * @returns {string} - CSV with the header as leading '#' lines, or JSON with
+ *   the header fields next to columns and rows. Rows only keep the values of
+ *   the columns, as pages keep other fields in them (e.g. paths: {}).
+ */
+function formatTableExport(format, table, header) {
+    if (format === 'json') {
+        const rows = table.rows.map(row =>
+            Object.fromEntries(table.columns.map(column => [column.key, row[column.key] ?? null])));
+        return JSON.stringify({ ...header, columns: table.columns, rows }, null, 2);
+    }
+
+    const state = new URLSearchParams(header.state).toString();
+    const lines = [
+        `# page: ${header.page}`,
+        `# state: ${state || '(default)'}`,
+        `# exported: ${header.exported}`,
+        table.columns.map(column => formatCsvValue(column.label)).join(',')
+    ];
+    for (const row of table.rows) {
+        lines.push(table.columns.map(column => formatCsvValue(row[column.key])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Add CSV and JSON export buttons downloading the rows of the current view,
+ * as filtered and sorted on the page
+ * @param {Object} options - Configuration options
+ * @param {string} options.containerId - ID of the element the buttons are added to
+ * @param {string} options.fileName - Name of the downloaded files, without extension
+ * @param {Function} options.getTable - Returns { columns: [{ key, label }], rows } for the current view
+ * @returns {Object} - Object with methods to export programmatically, and to
+ *   disable the buttons for views that can't be exported
+ */
+function initTableExport(options) {
+    const { containerId, fileName, getTable } = options;
+
+    function exportAs(format) {
+        const content = formatTableExport(format, getTable(), getExportHeader());
+        const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${fileName}.${format}`;
+        link.click();
+        // Revoked once the download has started
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    const container = document.getElementById(containerId);
+    const buttons = document.createElement('span');
+    buttons.className = 'export-buttons';
+    for (const format of ['csv', 'json']) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'export-button';
+        button.textContent = format.toUpperCase();
+        button.title = `Download the rows shown as ${format.toUpperCase()}`;
+        button.addEventListener('click', () => exportAs(format));
+        buttons.appendChild(button);
+    }
+    container.appendChild(buttons);
+
+    // reason is shown as the tooltip of disabled buttons
+    function setEnabled(enabled, reason = '') {
+        for (const button of buttons.children) {
+            button.disabled = !enabled;
+            button.title = enabled ? `Download the rows shown as ${button.textContent}` : reason;
+        }
+    }
+
+    return { exportAs, setEnabled };
+}
+
 // ===== Expandable Tree Management =====
 
 /**
@@ -551,6 +651,8 @@ if (typeof module !== 'undefined' && module.exports) {
         initHistoricalToggle,
         initUrlHashManager,
         initSortManager,
+        formatTableExport,
+        initTableExport,
         initExpandableTree,
         setupClickHandlers,
         initHarnessSwitcher,
@@ -123,6 +123,13 @@ const DASHBOARDS = [
             'A very different angle from the test-centric dashboards. It sits in the ' +
             'second tier because the underlying data is human-annotated, and therefore of ' +
             'lower quality.' },
+    { file: 'query.html', tier: 2, title: 'Query Console',
+      desc: 'SQL-like queries over the runs, tests, tasks, jobs and messages of any data file.',
+      long: 'Ad-hoc questions without writing a new dashboard: load any data file (a day, ' +
+            'or the 21-day issues files) and query its runs, tests, tasks, jobs and failure ' +
+            'messages with a small SQL-like language — filters, GROUP BY and aggregates such ' +
+            'as count, avg or median. Results show as a table or a chart, and the URL keeps ' +
+            'the query so it can be shared.' },
     { file: 'crash-viewer.html', tier: 2, title: 'Crash Dump Viewer',
       desc: 'Inspect an individual crash dump.',
       long: 'A utility for inspecting a single crash dump loaded from a URL, decoding and ' +
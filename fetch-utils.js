@@ -167,9 +167,104 @@ async function findTimingsJobsForRevision(revision) {
     }
 }
 
+// Decode a data file in the columnar binary encoding written by
+// fetch-xpcshell-data.js --binary (see encodeBinaryData there). The
+// durations, timestamps and taskIdIds arrays come back as Int32Arrays (views
+// on the buffer), or arrays of Int32Arrays in the multi-day files.
+const BINARY_DATA_MAGIC = 'TTB1';
+
+function decodeBinaryData(buffer) {
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+    if (magic !== BINARY_DATA_MAGIC) {
+        throw new Error('Not a binary data file');
+    }
+
+    const headerLength = new DataView(buffer).getUint32(4, true);
+    const header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 8, headerLength)));
+
+    // Int32Array uses the platform byte order, little endian everywhere we run
+    let offset = Math.ceil((8 + headerLength) / 4) * 4;
+    const columns = header.columnLengths.map(length => {
+        const column = new Int32Array(buffer, offset, length);
+        offset += length * 4;
+        return column;
+    });
+
+    function restoreColumns(value) {
+        if (Array.isArray(value)) {
+            for (let i = 0; i < value.length; i++) {
+                if (value[i] !== null && typeof value[i] === 'object') {
+                    value[i] = restoreColumns(value[i]);
+                }
+            }
+            return value;
+        }
+        if (value.$column !== undefined) {
+            const column = columns[value.$column];
+            if (value.$lengths === undefined) {
+                return column;
+            }
+            const arrays = [];
+            let start = 0;
+            for (const length of columns[value.$lengths]) {
+                arrays.push(column.subarray(start, start + length));
+                start += length;
+            }
+            return arrays;
+        }
+        for (const key of Object.keys(value)) {
+            if (value[key] !== null && typeof value[key] === 'object') {
+                value[key] = restoreColumns(value[key]);
+            }
+        }
+        return value;
+    }
+
+    return restoreColumns(header.data);
+}
+
+// Data files that may also be published in the binary encoding, as a .bin
+// file next to the .json one: daily files, multi-day issues files and their
+// per-chunk files
+const BINARY_DATA_FILE_PATTERN = /^(xpcshell|mochitest)-(\d{4}-\d{2}-\d{2}|issues(-with-taskids)?|[0-9a-f]{2})\.json$/;
+// Binary files are generated for all the files of a kind (a harness's daily,
+// issues or chunk files) or none of them, so once one is missing, the others
+// of its kind aren't looked for
+const _missingBinaryKinds = new Set();
+
+function getBinaryDataKind(filename) {
+    const [, harness, name] = filename.match(BINARY_DATA_FILE_PATTERN);
+    if (/^\d{4}-/.test(name)) return `${harness}-daily`;
+    if (name.startsWith('issues')) return `${harness}-issues`;
+    return `${harness}-chunk`;
+}
+
+// Fetch a data file, preferring its binary version when there is one. The
+// binary version is decoded right away, and returned in a Response-like
+// object whose json() gives the decoded data, so callers don't need to care.
+// Callers needing the raw response (e.g. to get its arrayBuffer()) pass
+// { binary: false }.
+async function fetchData(filename, { binary = true } = {}) {
+    const binaryKind = binary && BINARY_DATA_FILE_PATTERN.test(filename) ? getBinaryDataKind(filename) : null;
+    if (binaryKind && !_missingBinaryKinds.has(binaryKind)) {
+        try {
+            const response = await fetchDataFile(filename.replace(/\.json$/, '.bin'));
+            if (response.ok) {
+                const data = decodeBinaryData(await response.arrayBuffer());
+                return { ok: true, status: 200, json: async () => data };
+            }
+            _missingBinaryKinds.add(binaryKind);
+        } catch (error) {
+            console.warn(`Failed to load the binary version of ${filename}:`, error);
+            _missingBinaryKinds.add(binaryKind);
+        }
+    }
+    return fetchDataFile(filename);
+}
+
 // Fetch data file with appropriate prefix based on page protocol
 // For try runs, if xpcshell data doesn't exist, falls back to mochitest data
-async function fetchData(filename) {
+async function fetchDataFile(filename) {
     if (getDataSource() !== 'local') {
         // Check if this is a try revision file (format: xpcshell-try-<revision>.json or mochitest-try-<revision>.json)
         const tryMatch = filename.match(/^(xpcshell|mochitest)-try-([a-f0-9]{40})\.json$/);
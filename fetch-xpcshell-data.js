@@ -4,18 +4,152 @@ const fs = require('fs');
 const path = require('path');
 const { Worker } = require('worker_threads');
 const os = require('os');
+const { getChunkIndex } = require('./common-test-data.js');
+const { parseFixtureArgs, installFixtureFetch, checkGoldenFile } = require('./http-fixtures.js');
+const { parseJobSourceArg, parseJobTime } = require('./job-sources.js');
+const { listCacheEntries, pruneCache, verifyCacheEntry, parseSize, formatSize } = require('./profile-cache.js');
+const { assertValidDataFile, detectDataFileKind } = require('./validate-data.js');
 
 // Configuration
-const MAX_WORKERS = Math.max(1, Math.floor(os.cpus().length / 2));
-const CACHE_DIR = './xpcshell-data';
+// Workers parse profiles as they stream in (see json-stream.js) and only keep
+// the parts they use, so memory allows one worker per core.
+const MAX_WORKERS = Math.max(1, os.cpus().length);
 const PROFILE_CACHE_DIR = './profile-cache';
 
-// Ensure cache directories exist
-if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
+// Read a non-negative integer option like --fetch-retries 5, exiting on invalid values
+function getIntegerArg(name, defaultValue) {
+    const index = process.argv.indexOf(name);
+    if (index === -1) {
+        return defaultValue;
+    }
+    const value = parseInt(process.argv[index + 1]);
+    if (isNaN(value) || value < 0) {
+        console.error(`Error: ${name} requires a non-negative number`);
+        process.exit(1);
+    }
+    return value;
+}
+
+// Profile downloads (see profile-worker.js): failed attempts are retried with
+// exponential backoff, and the number of downloads in flight is capped across
+// the whole worker pool to avoid getting rate limited by Taskcluster.
+const FETCH_RETRIES = getIntegerArg('--fetch-retries', 3);
+const MAX_CONCURRENT_FETCHES = Math.max(1, getIntegerArg('--max-concurrent-fetches', 8));
+// A job is given up on when the worker processing it crashed this many times
+const MAX_JOB_ATTEMPTS = Math.max(1, getIntegerArg('--job-attempts', 3));
+
+// Test harness to generate data for, matching the dashboards' ?kind= parameter.
+// Each harness gets its own output directory (like the per-harness
+// test-info-*-timings indexes in CI), since both write an index.json.
+const SUPPORTED_HARNESSES = ['xpcshell', 'mochitest'];
+const kindIndex = process.argv.indexOf('--kind');
+const HARNESS = kindIndex !== -1 && kindIndex + 1 < process.argv.length ? process.argv[kindIndex + 1] : 'xpcshell';
+if (!SUPPORTED_HARNESSES.includes(HARNESS)) {
+    console.error(`Error: --kind must be one of: ${SUPPORTED_HARNESSES.join(', ')}`);
+    process.exit(1);
+}
+const CACHE_DIR = `./${HARNESS}-data`;
+// Daily data files, e.g. xpcshell-2025-01-31.json
+const DAILY_FILE_PATTERN = new RegExp(`^${HARNESS}-(\\d{4}-\\d{2}-\\d{2})\\.json$`);
+
+// HTTP record/replay (--record <dir> / --replay <dir>, see http-fixtures.js).
+// The profile cache is bypassed in both modes so every profile goes through
+// the fixtures directory.
+let FIXTURES = null;
+try {
+    FIXTURES = parseFixtureArgs(process.argv);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+installFixtureFetch(FIXTURES);
+
+// Read a mapping of source path prefixes to Bugzilla components, as derived
+// from the BUG_COMPONENT entries of moz.build files:
+//   { "dom/base": "Core :: DOM: Core & HTML", "netwerk": "Core :: Networking" }
+function loadComponentMapping(filePath) {
+    if (!filePath || filePath.startsWith('--')) {
+        console.error('Error: --components requires a mapping file');
+        process.exit(1);
+    }
+
+    let mapping;
+    try {
+        mapping = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        console.error(`Error: can't read component mapping ${filePath}: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+        console.error(`Error: component mapping ${filePath} must map path prefixes to components`);
+        process.exit(1);
+    }
+    for (const [prefix, component] of Object.entries(mapping)) {
+        if (typeof component !== 'string' || !component.includes(' :: ')) {
+            console.error(`Error: component for ${prefix} in ${filePath} isn't "Product :: Component"`);
+            process.exit(1);
+        }
+    }
+    return mapping;
 }
-if (!fs.existsSync(PROFILE_CACHE_DIR)) {
-    fs.mkdirSync(PROFILE_CACHE_DIR, { recursive: true });
+
+// Also write the daily and multi-day data files in the columnar binary
+// encoding (--binary, see encodeBinaryData)
+const WRITE_BINARY = process.argv.includes('--binary');
+
+// Where the jobs to process come from (--job-source, see job-sources.js)
+const jobSourceIndex = process.argv.indexOf('--job-source');
+const jobSourceArg = jobSourceIndex !== -1 ? process.argv[jobSourceIndex + 1] : null;
+if (jobSourceIndex !== -1 && (!jobSourceArg || jobSourceArg.startsWith('--'))) {
+    console.error('Error: --job-source requires redash[:<url>], treeherder[:<url>] or file:<path>');
+    process.exit(1);
+}
+let JOB_SOURCE = null;
+try {
+    JOB_SOURCE = parseJobSourceArg(jobSourceArg);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
+
+// Bugzilla components of the tests (--components <file>, see loadComponentMapping)
+const componentsIndex = process.argv.indexOf('--components');
+const COMPONENT_MAPPING = componentsIndex !== -1 ? loadComponentMapping(process.argv[componentsIndex + 1]) : null;
+
+// Create a function giving the component of a source path from a component
+// mapping: the one of the longest matching path prefix, or null.
+// Returns null when there is no mapping.
+function createComponentLookup(mapping) {
+    if (!mapping) return null;
+
+    const components = new Map(Object.entries(mapping).map(([prefix, component]) => [prefix.replace(/\/+$/, ''), component]));
+    const cache = new Map();
+
+    return function getComponent(sourcePath) {
+        if (!sourcePath) return null;
+
+        let component = cache.get(sourcePath);
+        if (component === undefined) {
+            component = null;
+            let prefix = sourcePath;
+            while (true) {
+                if (components.has(prefix)) {
+                    component = components.get(prefix);
+                    break;
+                }
+                const lastSlashIndex = prefix.lastIndexOf('/');
+                if (lastSlashIndex === -1) {
+                    // A "" entry is the component of paths matching nothing else
+                    component = components.get('') ?? null;
+                    break;
+                }
+                prefix = prefix.substring(0, lastSlashIndex);
+            }
+            cache.set(sourcePath, component);
+        }
+        return component;
+    };
 }
 
 // Get date in YYYY-MM-DD format
@@ -25,114 +159,184 @@ function getDateString(daysAgo = 0) {
     return date.toISOString().split('T')[0];
 }
 
-// Resource profile fetching moved to profile-worker.js
-
-// Fetch commit push data from Treeherder API
-async function fetchCommitData(project, revision) {
-    console.log(`Fetching commit data for ${project}:${revision}...`);
-
-    const response = await fetch(`https://treeherder.mozilla.org/api/project/${project}/push/?full=true&count=10&revision=${revision}`);
-
-    if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+// Check whether a job name belongs to the harness we are generating data for.
+// Mochitest jobs come in many flavors (mochitest-plain, mochitest-browser-chrome,
+// mochitest-devtools-chrome, mochitest-a11y, mochitest-webgl*, ...), all of
+// which contain "mochitest"; the *-timings source jobs don't run tests.
+function isHarnessJob(jobName) {
+    if (!jobName || !jobName.includes(HARNESS)) {
+        return false;
     }
+    return !jobName.includes(`${HARNESS}-timings`);
+}
 
-    const result = await response.json();
+// Task ID string of a job, as stored in the taskIds tables ("taskId.retryId")
+function getTaskIdString(job) {
+    return `${job.task_id}.${job.retry_id || 0}`;
+}
 
-    if (!result.results || result.results.length === 0) {
-        throw new Error(`No push found for revision ${revision} on project ${project}`);
+// Parse a --from/--to time: an ISO 8601 date, or date and time, in UTC unless
+// it has a time zone (2025-01-31, 2025-01-31T14:30, 2025-01-31T14:30+01:00).
+// Returns milliseconds since the epoch, exiting on invalid values.
+function parseTimeArg(name, value) {
+    const hasTimeZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(value || '');
+    const time = /^\d{4}-\d{2}-\d{2}T/.test(value || '') && !hasTimeZone
+        ? Date.parse(value + 'Z')
+        : Date.parse(value);
+    if (!/^\d{4}-\d{2}-\d{2}/.test(value || '') || isNaN(time)) {
+        console.error(`Error: ${name} must be a date or time like 2025-01-31 or 2025-01-31T14:30`);
+        process.exit(1);
     }
-
-    const pushId = result.results[0].id;
-    console.log(`Found push ID: ${pushId}`);
-    return pushId;
+    return time;
 }
 
-// Fetch jobs from push
-async function fetchPushJobs(project, pushId) {
-    console.log(`Fetching jobs for push ID ${pushId}...`);
-
-    const response = await fetch(`https://treeherder.mozilla.org/api/jobs/?push_id=${pushId}`);
+// Keep the jobs of a slice (see processSliceData): started in [from, to)
+// (in ms), on the given repository, and with a name matching jobFilter.
+// Filters left out match all jobs.
+function filterJobs(jobs, { from = null, to = null, repository = null, jobFilter = null } = {}) {
+    return jobs.filter(job => {
+        if (repository && job.repository !== repository) {
+            return false;
+        }
+        if (jobFilter && !jobFilter.test(job.name)) {
+            return false;
+        }
+        const startTime = parseJobTime(job.start_time);
+        return (from === null || startTime >= from) && (to === null || startTime < to);
+    });
+}
 
-    if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-    }
+// Resource profile fetching moved to profile-worker.js
 
-    const result = await response.json();
-    const allJobs = result.results || [];
-    const propertyNames = result.job_property_names || [];
+// Fetch the push of a revision from the job source.
+// Returns { id, revision, push_timestamp }
+async function fetchCommitData(project, revision) {
+    console.log(`Fetching commit data for ${project}:${revision}...`);
 
-    // Get field indices dynamically
-    const jobTypeNameIndex = propertyNames.indexOf('job_type_name');
-    const taskIdIndex = propertyNames.indexOf('task_id');
-    const retryIdIndex = propertyNames.indexOf('retry_id');
-    const lastModifiedIndex = propertyNames.indexOf('last_modified');
+    const push = await JOB_SOURCE.fetchPush(project, revision);
+    console.log(`Found push ID: ${push.id}`);
+    return push;
+}
 
-    // Filter for xpcshell jobs and convert to the expected format
-    const xpcshellJobs = allJobs
-        .filter(job => job[jobTypeNameIndex] && job[jobTypeNameIndex].includes('xpcshell'))
-        .map(job => ({
-            name: job[jobTypeNameIndex],
-            task_id: job[taskIdIndex],
-            retry_id: job[retryIdIndex] || 0,
-            start_time: job[lastModifiedIndex],
-            repository: project
-        }));
+// Fetch the pushes from fromRevision to toRevision (both included) from the
+// job source, oldest first.
+// Returns an array of { id, revision, push_timestamp }
+async function fetchPushRange(project, fromRevision, toRevision) {
+    console.log(`Fetching pushes for ${project}:${fromRevision}..${toRevision}...`);
 
-    console.log(`Found ${xpcshellJobs.length} xpcshell jobs out of ${allJobs.length} total jobs`);
-    return xpcshellJobs;
+    const pushes = await JOB_SOURCE.fetchPushRange(project, fromRevision, toRevision);
+    console.log(`Found ${pushes.length} pushes`);
+    return pushes;
 }
 
-// Fetch xpcshell test data from Mozilla's Telemetry API for a specific date
-async function fetchXpcshellData(targetDate) {
-    console.log(`Fetching xpcshell test data for ${targetDate}...`);
-
-    // Fetch data from the Telemetry API
-    const response = await fetch('https://sql.telemetry.mozilla.org/api/queries/110630/results.json?api_key=Pyybfsna2r5KQkwYgSk9zqbYfc6Dv0rhxL99DFi1');
+// Fetch the jobs of the selected harness from a push
+async function fetchPushJobs(project, push) {
+    console.log(`Fetching jobs for push ID ${push.id}...`);
 
-    if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-    }
+    const allJobs = await JOB_SOURCE.fetchPushJobs(project, push);
+    const harnessJobs = allJobs.filter(job => isHarnessJob(job.name));
 
-    const result = await response.json();
-    const allJobs = result.query_result.data.rows;
+    console.log(`Found ${harnessJobs.length} ${HARNESS} jobs out of ${allJobs.length} total jobs`);
+    return harnessJobs;
+}
 
-    // Filter for xpcshell jobs from the target date
-    const xpcshellJobs = allJobs.filter(job => {
-        const jobDate = job.start_time.split('T')[0];
-        return job.name.includes('xpcshell') && jobDate === targetDate;
-    });
+// Fetch test jobs of the selected harness for a specific date from the job
+// source (by default Mozilla's Telemetry API).
+// The jobs have their push (revision, push_id, push_timestamp) next to the
+// job itself (name, task_id, retry_id, start_time, repository)
+async function fetchXpcshellData(targetDate) {
+    console.log(`Fetching ${HARNESS} test data for ${targetDate}...`);
 
-    return xpcshellJobs;
+    const allJobs = await JOB_SOURCE.fetchDateJobs(targetDate);
+    return allJobs.filter(job => isHarnessJob(job.name));
 }
 
-// Process jobs using worker threads with dynamic job distribution
-async function processJobsWithWorkers(jobs, debug = false, targetDate = null) {
-    if (jobs.length === 0) return [];
+// Process jobs using worker threads with dynamic job distribution.
+// A worker that crashes is replaced, and the job it was processing is queued
+// again, up to MAX_JOB_ATTEMPTS times.
+// With prefetchOnly, the workers only download the profiles into the cache.
+// Returns { results, failedTaskIds }, failedTaskIds listing the jobs
+// ("taskId.retryId") that couldn't be processed. Rejects, stopping all the
+// workers, when one of them fails to start.
+// The options override the command line settings (used by tests): workerScript,
+// workerCount, maxConcurrentFetches, maxJobAttempts, fetchRetries and
+// profileCacheDir.
+async function processJobsWithWorkers(jobs, debug = false, targetDate = null, prefetchOnly = false, options = {}) {
+    const {
+        workerScript = path.join(__dirname, 'profile-worker.js'),
+        workerCount = MAX_WORKERS,
+        maxConcurrentFetches = MAX_CONCURRENT_FETCHES,
+        maxJobAttempts = MAX_JOB_ATTEMPTS,
+        // Replayed responses won't change by trying again
+        fetchRetries = FIXTURES?.mode === 'replay' ? 0 : FETCH_RETRIES,
+        profileCacheDir = FIXTURES ? null : PROFILE_CACHE_DIR
+    } = options;
+
+    if (jobs.length === 0) return { results: [], failedTaskIds: [] };
 
     const dateStr = targetDate ? ` for ${targetDate}` : '';
-    console.log(`Processing ${jobs.length} jobs${dateStr} using ${MAX_WORKERS} workers...`);
+    console.log(`Processing ${jobs.length} jobs${dateStr} using ${workerCount} workers...`);
 
     const jobQueue = [...jobs];
     const results = [];
+    const failedTaskIds = [];
     const workers = [];
+    // Number of times each job was started by a worker that then crashed
+    const crashCounts = new Map();
     let completedJobs = 0;
     let lastProgressTime = 0;
 
+    // Download slots shared by all workers (maxConcurrentFetches), granted
+    // in request order
+    let availableFetchSlots = maxConcurrentFetches;
+    let fetchSlotQueue = [];
+
     return new Promise((resolve, reject) => {
         // Track worker states
         const workerStates = new Map();
 
-        // Create workers
-        for (let i = 0; i < MAX_WORKERS; i++) {
-            const worker = new Worker(path.join(__dirname, 'profile-worker.js'), {
+        function grantFetchSlots() {
+            while (availableFetchSlots > 0 && fetchSlotQueue.length > 0) {
+                const { worker, requestId } = fetchSlotQueue.shift();
+                availableFetchSlots--;
+                workerStates.get(worker).fetchSlotsHeld++;
+                worker.postMessage({ type: 'fetchSlot', requestId });
+            }
+        }
+
+        function reportProgress() {
+            // Show progress at most once per second, or on first/last job
+            const now = Date.now();
+            if (completedJobs === 1 || completedJobs === jobs.length || (now - lastProgressTime) >= 1000) {
+                const percentage = Math.round((completedJobs / jobs.length) * 100);
+                const paddedCompleted = completedJobs.toString().padStart(jobs.length.toString().length);
+                const paddedPercentage = percentage.toString().padStart(3); // Pad to 3 chars for alignment (0-100%)
+                console.log(` ${paddedPercentage}% ${paddedCompleted}/${jobs.length}`);
+                lastProgressTime = now;
+            }
+        }
+
+        function createWorker(id) {
+            const worker = new Worker(workerScript, {
                 workerData: {
-                    profileCacheDir: PROFILE_CACHE_DIR
+                    profileCacheDir,
+                    fixtures: FIXTURES,
+                    harness: HARNESS,
+                    fetchRetries,
+                    prefetchOnly
                 }
             });
 
-            workers.push(worker);
-            workerStates.set(worker, { id: i + 1, ready: false, jobsProcessed: 0 });
+            workers[id - 1] = worker;
+            workerStates.set(worker, {
+                id,
+                ready: false,
+                finished: false,
+                jobsProcessed: 0,
+                currentJob: null,
+                fetchSlotsHeld: 0,
+                crashReason: null
+            });
 
             worker.on('message', (message) => {
                 const workerState = workerStates.get(worker);
@@ -140,23 +344,27 @@ async function processJobsWithWorkers(jobs, debug = false, targetDate = null) {
                 if (message.type === 'ready') {
                     workerState.ready = true;
                     assignNextJob(worker);
+                } else if (message.type === 'acquireFetchSlot') {
+                    fetchSlotQueue.push({ worker, requestId: message.requestId });
+                    grantFetchSlots();
+                } else if (message.type === 'releaseFetchSlot') {
+                    workerState.fetchSlotsHeld--;
+                    availableFetchSlots++;
+                    grantFetchSlots();
                 } else if (message.type === 'jobComplete') {
                     workerState.jobsProcessed++;
                     completedJobs++;
 
                     if (message.result) {
                         results.push(message.result);
+                    } else if (message.fetchError) {
+                        const taskIdString = getTaskIdString(workerState.currentJob);
+                        failedTaskIds.push(taskIdString);
+                        console.warn(`Failed to fetch profile for task ${taskIdString}: ${message.fetchError}`);
                     }
+                    workerState.currentJob = null;
 
-                    // Show progress at most once per second, or on first/last job
-                    const now = Date.now();
-                    if (completedJobs === 1 || completedJobs === jobs.length || (now - lastProgressTime) >= 1000) {
-                        const percentage = Math.round((completedJobs / jobs.length) * 100);
-                        const paddedCompleted = completedJobs.toString().padStart(jobs.length.toString().length);
-                        const paddedPercentage = percentage.toString().padStart(3); // Pad to 3 chars for alignment (0-100%)
-                        console.log(` ${paddedPercentage}% ${paddedCompleted}/${jobs.length}`);
-                        lastProgressTime = now;
-                    }
+                    reportProgress();
 
                     // Assign next job or finish
                     assignNextJob(worker);
@@ -165,26 +373,75 @@ async function processJobsWithWorkers(jobs, debug = false, targetDate = null) {
                     if (debug) {
                         console.log(`Worker ${workerState.id} finished processing ${workerState.jobsProcessed} jobs`);
                     }
+                    workerState.finished = true;
                     checkAllComplete();
                 } else if (message.type === 'error') {
-                    reject(new Error(`Worker ${workerState.id} error: ${message.error}`));
+                    // The worker can't go on, replace it (see the exit handler)
+                    workerState.crashReason = message.error;
+                    worker.terminate();
                 }
             });
 
             worker.on('error', (error) => {
-                reject(new Error(`Worker ${workerStates.get(worker).id} thread error: ${error.message}`));
+                workerStates.get(worker).crashReason = error.message;
             });
 
             worker.on('exit', (code) => {
-                if (code !== 0) {
-                    reject(new Error(`Worker ${workerStates.get(worker).id} stopped with exit code ${code}`));
+                const workerState = workerStates.get(worker);
+                if (resolved || workerState.finished) {
+                    return;
                 }
+                handleWorkerCrash(worker, workerState.crashReason || `exit code ${code}`);
             });
         }
 
+        function handleWorkerCrash(worker, reason) {
+            const workerState = workerStates.get(worker);
+            console.warn(`Worker ${workerState.id} crashed: ${reason}`);
+
+            // A worker that can't even start would crash again. Stop the
+            // others too, or they would go on with the queue and keep the
+            // process alive.
+            if (!workerState.ready) {
+                resolved = true;
+                workers.forEach(other => other.terminate());
+                reject(new Error(`Worker ${workerState.id} failed to start: ${reason}`));
+                return;
+            }
+
+            // Give back the download slots the dead worker held or waited for
+            availableFetchSlots += workerState.fetchSlotsHeld;
+            fetchSlotQueue = fetchSlotQueue.filter(request => request.worker !== worker);
+            grantFetchSlots();
+
+            const job = workerState.currentJob;
+            if (job) {
+                const crashCount = (crashCounts.get(job) || 0) + 1;
+                crashCounts.set(job, crashCount);
+                if (crashCount < maxJobAttempts) {
+                    // Retry the job right away rather than at the end of the queue
+                    jobQueue.unshift(job);
+                } else {
+                    const taskIdString = getTaskIdString(job);
+                    failedTaskIds.push(taskIdString);
+                    completedJobs++;
+                    console.warn(`Giving up on task ${taskIdString} after ${crashCount} attempts`);
+                    reportProgress();
+                }
+            }
+
+            createWorker(workerState.id);
+        }
+
+        // Create workers
+        for (let i = 0; i < workerCount; i++) {
+            createWorker(i + 1);
+        }
+
         function assignNextJob(worker) {
             if (jobQueue.length > 0) {
                 const job = jobQueue.shift();
+                workerStates.get(worker).currentJob = job;
                 worker.postMessage({ type: 'job', job });
             } else {
                 // No more jobs, tell worker to finish
@@ -193,14 +450,11 @@ async function processJobsWithWorkers(jobs, debug = false, targetDate = null) {
         }
 
         let resolved = false;
-        let workersFinished = 0;
 
         function checkAllComplete() {
             if (resolved) return;
 
-            workersFinished++;
-
-            if (workersFinished >= MAX_WORKERS) {
+            if (workers.every(worker => workerStates.get(worker).finished)) {
                 resolved = true;
                 if (debug) {
                     console.log('All workers completed processing');
@@ -209,7 +463,7 @@ async function processJobsWithWorkers(jobs, debug = false, targetDate = null) {
                 // Terminate all workers to ensure clean exit
                 workers.forEach(worker => worker.terminate());
 
-                resolve(results);
+                resolve({ results, failedTaskIds });
             }
         }
     });
@@ -220,8 +474,16 @@ async function processJobsWithWorkers(jobs, debug = false, targetDate = null) {
 // These functions are now handled by the worker threads
 // (processJob and extractPlatform moved to profile-worker.js)
 
+// Statuses whose runs keep their message: skip reasons and failure messages
+// (FAIL, FAIL-PARALLEL, FAIL-SEQUENTIAL, ...)
+function statusHasMessage(status) {
+    return status === 'SKIP' || (status || '').startsWith('FAIL');
+}
+
 // Create string tables and store raw data efficiently
-function createDataTables(jobResults) {
+// With a component lookup (see createComponentLookup), the Bugzilla component of
+// each test is stored in testInfo.componentIds.
+function createDataTables(jobResults, getComponent = null) {
     const tables = {
         jobNames: [],
         testPaths: [],
@@ -230,7 +492,12 @@ function createDataTables(jobResults) {
         statuses: [],
         taskIds: [],
         messages: [],
-        crashSignatures: []
+        crashSignatures: [],
+        commitIds: [],
+        // Manifest conditions of skips and expected failures, as
+        // 'skip-if: <expression>' (see parseManifestCondition in profile-worker.js)
+        conditions: [],
+        subtests: []
     };
 
     // Maps for O(1) string lookups
@@ -242,13 +509,20 @@ function createDataTables(jobResults) {
         statuses: new Map(),
         taskIds: new Map(),
         messages: new Map(),
-        crashSignatures: new Map()
+        crashSignatures: new Map(),
+        commitIds: new Map(),
+        conditions: new Map(),
+        subtests: new Map()
     };
 
-    // Task info maps task ID index to repository and job name indexes
+    // Task info maps task ID index to repository, job name and push revision
+    // indexes, and to the push ID and push time (in seconds) of the task
     const taskInfo = {
         repositoryIds: [],
-        jobNameIds: []
+        jobNameIds: [],
+        commitIds: [],
+        pushIds: [],
+        pushTimestamps: []
     };
 
     // Test info maps test ID index to test path and name indexes
@@ -257,6 +531,12 @@ function createDataTables(jobResults) {
         testNameIds: []
     };
 
+    if (getComponent) {
+        tables.components = [];
+        stringMaps.components = new Map();
+        testInfo.componentIds = [];
+    }
+
     // Map for fast testId lookup: fullPath -> testId
     const testIdMap = new Map();
 
@@ -264,6 +544,10 @@ function createDataTables(jobResults) {
     // testRuns[testId] = array of status groups for that test
     const testRuns = [];
 
+    // Failing subtest results of each test, one entry per result:
+    // subtestRuns[testId] = { subtestIds, statusIds, taskIdIds, messageIds }
+    const subtestRuns = [];
+
     function findStringIndex(tableName, string) {
         const table = tables[tableName];
         const map = stringMaps[tableName];
@@ -282,6 +566,7 @@ function createDataTables(jobResults) {
 
         const jobNameId = findStringIndex('jobNames', result.jobName);
         const repositoryId = findStringIndex('repositories', result.repository);
+        const commitId = result.revision ? findStringIndex('commitIds', result.revision) : null;
 
         for (const timing of result.timings) {
             const fullPath = timing.path;
@@ -308,6 +593,10 @@ function createDataTables(jobResults) {
                 testId = testInfo.testPathIds.length;
                 testInfo.testPathIds.push(testPathId);
                 testInfo.testNameIds.push(testNameId);
+                if (getComponent) {
+                    const component = getComponent(fullPath);
+                    testInfo.componentIds.push(component === null ? null : findStringIndex('components', component));
+                }
                 testIdMap.set(fullPath, testId);
             }
 
@@ -319,6 +608,9 @@ function createDataTables(jobResults) {
             if (taskInfo.repositoryIds[taskIdId] === undefined) {
                 taskInfo.repositoryIds[taskIdId] = repositoryId;
                 taskInfo.jobNameIds[taskIdId] = jobNameId;
+                taskInfo.commitIds[taskIdId] = commitId;
+                taskInfo.pushIds[taskIdId] = result.pushId ?? null;
+                taskInfo.pushTimestamps[taskIdId] = result.pushTimestamp ?? null;
             }
 
             // Initialize test group if it doesn't exist
@@ -327,15 +619,19 @@ function createDataTables(jobResults) {
             }
 
             // Initialize status group within test if it doesn't exist
+            const hasMessage = statusHasMessage(timing.status);
             let statusGroup = testRuns[testId][statusId];
             if (!statusGroup) {
                 statusGroup = {
                     taskIdIds: [],
                     durations: [],
-                    timestamps: []
+                    timestamps: [],
+                    averageCpus: [],
+                    peakMemories: [],
+                    conditionIds: []
                 };
-                // Only include messageIds array for SKIP status
-                if (timing.status === 'SKIP') {
+                // Only include messageIds array for SKIP and FAIL statuses
+                if (hasMessage) {
                     statusGroup.messageIds = [];
                 }
                 // Only include crash data arrays for CRASH status
@@ -350,9 +646,14 @@ function createDataTables(jobResults) {
             statusGroup.taskIdIds.push(taskIdId);
             statusGroup.durations.push(Math.round(timing.duration));
             statusGroup.timestamps.push(timing.timestamp);
-
-            // Store message ID for SKIP status (or null if no message)
-            if (timing.status === 'SKIP') {
+            // Machine-wide CPU use (percent of one core) and peak memory (MB)
+            // while the test ran, see getTestResourceUsage in profile-worker.js
+            statusGroup.averageCpus.push(timing.averageCpu ?? null);
+            statusGroup.peakMemories.push(timing.peakMemory ?? null);
+            statusGroup.conditionIds.push(timing.condition ? findStringIndex('conditions', `${timing.conditionType}: ${timing.condition}`) : null);
+
+            // Store message ID for SKIP and FAIL statuses (or null if no message)
+            if (hasMessage) {
                 const messageId = timing.message ? findStringIndex('messages', timing.message) : null;
                 statusGroup.messageIds.push(messageId);
             }
@@ -363,6 +664,33 @@ function createDataTables(jobResults) {
                 statusGroup.crashSignatureIds.push(crashSignatureId);
                 statusGroup.minidumps.push(timing.minidump || null);
             }
+
+            if (timing.subtests) {
+                if (!subtestRuns[testId]) {
+                    subtestRuns[testId] = { subtestIds: [], statusIds: [], taskIdIds: [], messageIds: [] };
+                }
+                const subtestGroup = subtestRuns[testId];
+                for (const subtest of timing.subtests) {
+                    subtestGroup.subtestIds.push(findStringIndex('subtests', subtest.name));
+                    subtestGroup.statusIds.push(findStringIndex('statuses', subtest.status));
+                    subtestGroup.taskIdIds.push(taskIdId);
+                    subtestGroup.messageIds.push(subtest.message ? findStringIndex('messages', subtest.message) : null);
+                }
+            }
+        }
+    }
+
+    // Profiles without CPU and memory samples have no resource usage to store,
+    // and only skips and expected failures have manifest conditions
+    for (const testGroup of testRuns) {
+        if (!testGroup) continue;
+        for (const statusGroup of testGroup) {
+            if (!statusGroup) continue;
+            for (const key of ['averageCpus', 'peakMemories', 'conditionIds']) {
+                if (statusGroup[key].every(value => value === null)) {
+                    delete statusGroup[key];
+                }
+            }
         }
     }
 
@@ -370,13 +698,14 @@ function createDataTables(jobResults) {
         tables: tables,
         taskInfo: taskInfo,
         testInfo: testInfo,
-        testRuns: testRuns
+        testRuns: testRuns,
+        subtestRuns: subtestRuns
     };
 }
 
 // Sort string tables by frequency and remap all indices for deterministic output and better compression
 function sortStringTablesByFrequency(dataStructure) {
-    const { tables, taskInfo, testInfo, testRuns } = dataStructure;
+    const { tables, taskInfo, testInfo, testRuns, subtestRuns } = dataStructure;
 
     // Count frequency of each index for each table
     const frequencyCounts = {
@@ -387,8 +716,17 @@ function sortStringTablesByFrequency(dataStructure) {
         statuses: new Array(tables.statuses.length).fill(0),
         taskIds: new Array(tables.taskIds.length).fill(0),
         messages: new Array(tables.messages.length).fill(0),
-        crashSignatures: new Array(tables.crashSignatures.length).fill(0)
+        crashSignatures: new Array(tables.crashSignatures.length).fill(0),
+        commitIds: new Array(tables.commitIds.length).fill(0),
+        conditions: new Array(tables.conditions.length).fill(0),
+        subtests: new Array(tables.subtests.length).fill(0)
     };
+    if (tables.components) {
+        frequencyCounts.components = new Array(tables.components.length).fill(0);
+        for (const componentId of testInfo.componentIds) {
+            if (componentId !== null) frequencyCounts.components[componentId]++;
+        }
+    }
 
     // Count taskInfo references
     for (const jobNameId of taskInfo.jobNameIds) {
@@ -397,6 +735,9 @@ function sortStringTablesByFrequency(dataStructure) {
     for (const repositoryId of taskInfo.repositoryIds) {
         if (repositoryId !== undefined) frequencyCounts.repositories[repositoryId]++;
     }
+    for (const commitId of taskInfo.commitIds) {
+        if (commitId !== null) frequencyCounts.commitIds[commitId]++;
+    }
 
     // Count testInfo references
     for (const testPathId of testInfo.testPathIds) {
@@ -430,9 +771,27 @@ function sortStringTablesByFrequency(dataStructure) {
                     if (crashSigId !== null) frequencyCounts.crashSignatures[crashSigId]++;
                 }
             }
+
+            if (statusGroup.conditionIds) {
+                for (const conditionId of statusGroup.conditionIds) {
+                    if (conditionId !== null) frequencyCounts.conditions[conditionId]++;
+                }
+            }
         });
     }
 
+    // Count subtestRuns references
+    for (const subtestGroup of subtestRuns) {
+        if (!subtestGroup) continue;
+
+        for (let i = 0; i < subtestGroup.subtestIds.length; i++) {
+            frequencyCounts.subtests[subtestGroup.subtestIds[i]]++;
+            frequencyCounts.statuses[subtestGroup.statusIds[i]]++;
+            frequencyCounts.taskIds[subtestGroup.taskIdIds[i]]++;
+            if (subtestGroup.messageIds[i] !== null) frequencyCounts.messages[subtestGroup.messageIds[i]]++;
+        }
+    }
+
     // Create sorted tables and index mappings (sorted by frequency descending)
     const sortedTables = {};
     const indexMaps = {};
@@ -463,13 +822,20 @@ function sortStringTablesByFrequency(dataStructure) {
     // we need to rebuild the arrays at the new indices
     const sortedTaskInfo = {
         repositoryIds: [],
-        jobNameIds: []
+        jobNameIds: [],
+        commitIds: [],
+        pushIds: [],
+        pushTimestamps: []
     };
 
     for (let oldTaskIdId = 0; oldTaskIdId < taskInfo.repositoryIds.length; oldTaskIdId++) {
         const newTaskIdId = indexMaps.taskIds.get(oldTaskIdId);
         sortedTaskInfo.repositoryIds[newTaskIdId] = indexMaps.repositories.get(taskInfo.repositoryIds[oldTaskIdId]);
         sortedTaskInfo.jobNameIds[newTaskIdId] = indexMaps.jobNames.get(taskInfo.jobNameIds[oldTaskIdId]);
+        const oldCommitId = taskInfo.commitIds[oldTaskIdId];
+        sortedTaskInfo.commitIds[newTaskIdId] = oldCommitId === null ? null : indexMaps.commitIds.get(oldCommitId);
+        sortedTaskInfo.pushIds[newTaskIdId] = taskInfo.pushIds[oldTaskIdId];
+        sortedTaskInfo.pushTimestamps[newTaskIdId] = taskInfo.pushTimestamps[oldTaskIdId];
     }
 
     // Remap testInfo indices
@@ -477,6 +843,11 @@ function sortStringTablesByFrequency(dataStructure) {
         testPathIds: testInfo.testPathIds.map(oldId => indexMaps.testPaths.get(oldId)),
         testNameIds: testInfo.testNameIds.map(oldId => indexMaps.testNames.get(oldId))
     };
+    if (testInfo.componentIds) {
+        sortedTestInfo.componentIds = testInfo.componentIds.map(oldId =>
+            oldId === null ? null : indexMaps.components.get(oldId)
+        );
+    }
 
     // Remap testRuns indices
     const sortedTestRuns = testRuns.map(testGroup => {
@@ -493,7 +864,7 @@ function sortStringTablesByFrequency(dataStructure) {
                 timestamps: statusGroup.timestamps
             };
 
-            // Remap message IDs for SKIP status
+            // Remap message IDs for SKIP and FAIL statuses
             if (statusGroup.messageIds) {
                 remapped.messageIds = statusGroup.messageIds.map(oldId =>
                     oldId === null ? null : indexMaps.messages.get(oldId)
@@ -510,6 +881,20 @@ function sortStringTablesByFrequency(dataStructure) {
                 remapped.minidumps = statusGroup.minidumps;
             }
 
+            // Resource usage, when the profiles had CPU and memory samples
+            if (statusGroup.averageCpus) {
+                remapped.averageCpus = statusGroup.averageCpus;
+            }
+            if (statusGroup.peakMemories) {
+                remapped.peakMemories = statusGroup.peakMemories;
+            }
+
+            if (statusGroup.conditionIds) {
+                remapped.conditionIds = statusGroup.conditionIds.map(oldId =>
+                    oldId === null ? null : indexMaps.conditions.get(oldId)
+                );
+            }
+
             return remapped;
         });
     });
@@ -528,11 +913,24 @@ function sortStringTablesByFrequency(dataStructure) {
         return remappedGroup;
     });
 
+    // Remap subtestRuns indices
+    const sortedSubtestRuns = subtestRuns.map(subtestGroup => {
+        if (!subtestGroup) return subtestGroup;
+
+        return {
+            subtestIds: subtestGroup.subtestIds.map(oldId => indexMaps.subtests.get(oldId)),
+            statusIds: subtestGroup.statusIds.map(oldId => indexMaps.statuses.get(oldId)),
+            taskIdIds: subtestGroup.taskIdIds.map(oldId => indexMaps.taskIds.get(oldId)),
+            messageIds: subtestGroup.messageIds.map(oldId => oldId === null ? null : indexMaps.messages.get(oldId))
+        };
+    });
+
     return {
         tables: sortedTables,
         taskInfo: sortedTaskInfo,
         testInfo: sortedTestInfo,
-        testRuns: finalTestRuns
+        testRuns: finalTestRuns,
+        subtestRuns: sortedSubtestRuns
     };
 }
 
@@ -647,11 +1045,249 @@ function createResourceUsageData(jobResults) {
     };
 }
 
-// Helper to save a JSON file and log its size
-function saveJsonFile(data, filePath, debug) {
+// Create a builder for the Errors & Warnings data (errors.html).
+// Log message occurrences are grouped by test and message (and by day with
+// withDays). With withTaskIds, each group keeps the task IDs it occurred in
+// (delta-encoded ascending) and a count per task; otherwise a single count.
+function createErrorsDataBuilder(withTaskIds, withDays) {
+    const tableNames = ['markerNames', 'messageTexts', 'files', 'components', 'testPaths', 'testNames'];
+    if (withTaskIds) {
+        tableNames.push('taskIds', 'jobNames', 'repositories');
+    }
+    const tables = {};
+    const stringMaps = {};
+    for (const tableName of tableNames) {
+        tables[tableName] = [];
+        stringMaps[tableName] = new Map();
+    }
+
+    const messages = {
+        markerNameIds: [],
+        textIds: [],
+        fileIds: [],
+        lines: [],
+        componentIds: []
+    };
+    const messageIdMap = new Map();
+    const taskInfo = {
+        repositoryIds: [],
+        jobNameIds: []
+    };
+    const testInfo = {
+        testPathIds: [],
+        testNameIds: []
+    };
+    const testIdMap = new Map();
+    // Map of "day:testId:messageId" -> group, in insertion order
+    const groups = new Map();
+
+    function findStringIndex(tableName, string) {
+        if (string === null || string === undefined) return null;
+        const map = stringMaps[tableName];
+        let index = map.get(string);
+        if (index === undefined) {
+            index = tables[tableName].length;
+            tables[tableName].push(string);
+            map.set(string, index);
+        }
+        return index;
+    }
+
+    function findTestId(fullPath) {
+        let testId = testIdMap.get(fullPath);
+        if (testId === undefined) {
+            const lastSlashIndex = fullPath.lastIndexOf('/');
+            testId = testInfo.testPathIds.length;
+            testInfo.testPathIds.push(findStringIndex('testPaths', lastSlashIndex === -1 ? '' : fullPath.substring(0, lastSlashIndex)));
+            testInfo.testNameIds.push(findStringIndex('testNames', fullPath.substring(lastSlashIndex + 1)));
+            testIdMap.set(fullPath, testId);
+        }
+        return testId;
+    }
+
+    function findMessageId(occurrence) {
+        const key = JSON.stringify([occurrence.markerName, occurrence.text, occurrence.file, occurrence.line, occurrence.component]);
+        let messageId = messageIdMap.get(key);
+        if (messageId === undefined) {
+            messageId = messages.markerNameIds.length;
+            messages.markerNameIds.push(findStringIndex('markerNames', occurrence.markerName));
+            messages.textIds.push(findStringIndex('messageTexts', occurrence.text));
+            messages.fileIds.push(findStringIndex('files', occurrence.file));
+            messages.lines.push(occurrence.line ?? null);
+            messages.componentIds.push(findStringIndex('components', occurrence.component));
+            messageIdMap.set(key, messageId);
+        }
+        return messageId;
+    }
+
+    // Add occurrences of a message in a test: { path, markerName, text, file,
+    // line, component, count }, plus { taskId ("taskId.retryId"), jobName,
+    // repository } with withTaskIds, and the day index with withDays.
+    function add(occurrence) {
+        const day = withDays ? occurrence.day : 0;
+        const testId = findTestId(occurrence.path);
+        const messageId = findMessageId(occurrence);
+
+        const key = `${day}:${testId}:${messageId}`;
+        let group = groups.get(key);
+        if (!group) {
+            group = { day, testId, messageId, count: 0, taskCounts: new Map() };
+            groups.set(key, group);
+        }
+        group.count += occurrence.count;
+
+        if (withTaskIds) {
+            const taskIdId = findStringIndex('taskIds', occurrence.taskId);
+            if (taskInfo.repositoryIds[taskIdId] === undefined) {
+                taskInfo.repositoryIds[taskIdId] = findStringIndex('repositories', occurrence.repository);
+                taskInfo.jobNameIds[taskIdId] = findStringIndex('jobNames', occurrence.jobName);
+            }
+            group.taskCounts.set(taskIdId, (group.taskCounts.get(taskIdId) || 0) + occurrence.count);
+        }
+    }
+
+    function finish(metadata) {
+        const sortedGroups = [...groups.values()].sort((a, b) => a.day - b.day);
+        const markers = {
+            testIds: sortedGroups.map(group => group.testId),
+            messageIds: sortedGroups.map(group => group.messageId)
+        };
+        if (withTaskIds) {
+            markers.taskIdIds = [];
+            markers.counts = [];
+            for (const group of sortedGroups) {
+                const taskIdIds = [...group.taskCounts.keys()].sort((a, b) => a - b);
+                let previousTaskIdId = 0;
+                markers.taskIdIds.push(taskIdIds.map(taskIdId => {
+                    const delta = taskIdId - previousTaskIdId;
+                    previousTaskIdId = taskIdId;
+                    return delta;
+                }));
+                markers.counts.push(taskIdIds.map(taskIdId => group.taskCounts.get(taskIdId)));
+            }
+        } else {
+            markers.counts = sortedGroups.map(group => group.count);
+        }
+        if (withDays) {
+            markers.days = sortedGroups.map(group => group.day);
+        }
+
+        const output = {
+            metadata: {
+                ...metadata,
+                markerCount: sortedGroups.reduce((sum, group) => sum + group.count, 0)
+            },
+            tables,
+            messages,
+            testInfo,
+            markers
+        };
+        if (withTaskIds) {
+            output.taskInfo = taskInfo;
+        }
+        return output;
+    }
+
+    return { add, finish };
+}
+
+// Create the daily (or per revision) errors data from the log messages the
+// workers extracted (see extractLogMessages in profile-worker.js)
+// With a component lookup, messages get the component of their source file.
+function createErrorsData(jobResults, metadata, getComponent = null) {
+    const builder = createErrorsDataBuilder(true, false);
+    for (const result of jobResults) {
+        if (!result?.logMessages) continue;
+
+        const taskId = `${result.taskId}.${result.retryId}`;
+        for (const logMessage of result.logMessages) {
+            builder.add({
+                ...logMessage,
+                component: logMessage.component || getComponent?.(logMessage.file) || null,
+                taskId,
+                jobName: result.jobName,
+                repository: result.repository
+            });
+        }
+    }
+    return builder.finish(metadata);
+}
+
+// Call callback with each occurrence group of an errors file, in the format
+// createErrorsDataBuilder's add takes (with task info when the file has it)
+function forEachErrorOccurrence(data, callback) {
+    const { tables, messages, testInfo, taskInfo, markers } = data;
+    for (let i = 0; i < markers.testIds.length; i++) {
+        const testId = markers.testIds[i];
+        const messageId = markers.messageIds[i];
+        const testPath = tables.testPaths[testInfo.testPathIds[testId]];
+        const testName = tables.testNames[testInfo.testNameIds[testId]];
+        const textId = messages.textIds[messageId];
+        const fileId = messages.fileIds[messageId];
+        const componentId = messages.componentIds[messageId];
+        const occurrence = {
+            path: testPath ? `${testPath}/${testName}` : testName,
+            markerName: tables.markerNames[messages.markerNameIds[messageId]],
+            text: textId === null ? null : tables.messageTexts[textId],
+            file: fileId === null ? null : tables.files[fileId],
+            line: messages.lines[messageId],
+            component: componentId === null ? null : tables.components[componentId]
+        };
+        if (markers.days) {
+            occurrence.day = markers.days[i];
+        }
+
+        if (!markers.taskIdIds) {
+            callback({ ...occurrence, count: markers.counts[i] });
+            continue;
+        }
+        let taskIdId = 0;
+        for (let j = 0; j < markers.taskIdIds[i].length; j++) {
+            taskIdId += markers.taskIdIds[i][j];
+            callback({
+                ...occurrence,
+                count: markers.counts[i][j],
+                taskId: tables.taskIds[taskIdId],
+                jobName: tables.jobNames[taskInfo.jobNameIds[taskIdId]],
+                repository: tables.repositories[taskInfo.repositoryIds[taskIdId]]
+            });
+        }
+    }
+}
+
+// Helper to save a JSON file and log its size (unless quiet, for the many
+// chunk files)
+// Throws without writing anything if the data doesn't match its schema (see validate-data.js)
+function saveJsonFile(data, filePath, debug, quiet = false) {
+    assertValidDataFile(data, filePath);
+
     const jsonString = debug ? JSON.stringify(data, null, 2) : JSON.stringify(data);
     fs.writeFileSync(filePath, jsonString);
+    if (!quiet) {
+        logSavedFile(filePath, debug ? ' (with formatting)' : '');
+    }
+
+    // The binary version is loaded instead of the JSON one by fetchData in
+    // fetch-utils.js when it's there. Daily, issues and chunk files (the
+    // latter detected as 'issues') can have one.
+    const kind = detectDataFileKind(filePath);
+    if (kind !== 'daily' && kind !== 'issues') return;
+
+    const binaryFilePath = filePath.replace(/\.json$/, '.bin');
+    if (WRITE_BINARY) {
+        fs.writeFileSync(binaryFilePath, encodeBinaryData(data));
+        if (!quiet) {
+            logSavedFile(binaryFilePath);
+        }
+    } else if (fs.existsSync(binaryFilePath)) {
+        // A binary file left from an earlier run would be served instead of
+        // the data just written
+        fs.unlinkSync(binaryFilePath);
+        console.log(`Removed stale ${binaryFilePath}`);
+    }
+}
 
+function logSavedFile(filePath, note = '') {
     const stats = fs.statSync(filePath);
     const fileSizeBytes = stats.size;
 
@@ -659,53 +1295,86 @@ function saveJsonFile(data, filePath, debug) {
     if (fileSizeBytes >= 1024 * 1024) {
         const fileSizeMB = Math.round(fileSizeBytes / (1024 * 1024));
         const formattedBytes = fileSizeBytes.toLocaleString();
-        console.log(`Saved ${filePath} - ${fileSizeMB}MB (${formattedBytes} bytes)${debug ? ' (with formatting)' : ''}`);
+        console.log(`Saved ${filePath} - ${fileSizeMB}MB (${formattedBytes} bytes)${note}`);
     } else {
         const fileSizeKB = Math.round(fileSizeBytes / 1024);
         console.log(`Saved ${filePath} - ${fileSizeKB}KB`);
     }
 }
 
-// Common function to process jobs and create data structure
-async function processJobsAndCreateData(jobs, debug, targetLabel, startTime, metadata) {
-    if (jobs.length === 0) {
-        console.log(`No jobs found for ${targetLabel}.`);
-        return null;
-    }
-
-    // Process jobs to extract test timings
-    const jobProcessingStart = Date.now();
-    const jobResults = await processJobsWithWorkers(jobs, debug, targetLabel);
-    const jobProcessingTime = Date.now() - jobProcessingStart;
-    console.log(`Successfully processed ${jobResults.length} jobs in ${jobProcessingTime}ms`);
-
-    // Create efficient data tables
-    const dataTablesStart = Date.now();
-    let dataStructure = createDataTables(jobResults);
-    const dataTablesTime = Date.now() - dataTablesStart;
-    console.log(`Created data tables in ${dataTablesTime}ms:`);
+// Columnar binary encoding of the test data files, decoded by decodeBinaryData
+// in fetch-utils.js. The durations, timestamps and taskIdIds arrays (flat, or
+// one array per bucket in the multi-day files) are stored as Int32 columns,
+// which the decoder turns into typed arrays without parsing them; everything
+// else, including the string tables, stays in a JSON header:
+//   "TTB1" | header length (uint32) | header JSON | padding to 4 bytes | columns
+// The header is { columnLengths, data }, where each moved array is replaced
+// in data by { $column: index }, or { $column, $lengths } for an array of
+// arrays (the concatenated values, and the length of each array).
+// All numbers are little endian.
+const BINARY_DATA_MAGIC = 'TTB1';
+const BINARY_COLUMN_KEYS = new Set(['durations', 'timestamps', 'taskIdIds']);
+
+function isInt32(value) {
+    return Number.isInteger(value) && value >= -0x80000000 && value <= 0x7fffffff;
+}
 
-    // Check if any test runs were extracted
-    const hasTestRuns = dataStructure.testRuns.length > 0;
-    if (!hasTestRuns) {
-        console.log(`No test run data extracted for ${targetLabel}`);
-        return null;
+function encodeBinaryData(data) {
+    const columns = [];
+    function addColumn(values) {
+        columns.push(values);
+        return columns.length - 1;
     }
 
-    const totalRuns = dataStructure.testRuns.reduce((sum, testGroup) => {
-        if (!testGroup) return sum;
-        return sum + testGroup.reduce((testSum, statusGroup) => testSum + (statusGroup ? statusGroup.taskIdIds.length : 0), 0);
-    }, 0);
-    console.log(`  ${dataStructure.testInfo.testPathIds.length} tests, ${totalRuns} runs, ${dataStructure.tables.taskIds.length} tasks, ${dataStructure.tables.jobNames.length} job names, ${dataStructure.tables.statuses.length} statuses`);
+    function encodeValue(value, key) {
+        if (Array.isArray(value)) {
+            if (BINARY_COLUMN_KEYS.has(key)) {
+                if (value.every(isInt32)) {
+                    return { $column: addColumn(value) };
+                }
+                if (value.every(item => Array.isArray(item) && item.every(isInt32))) {
+                    return { $column: addColumn(value.flat()), $lengths: addColumn(value.map(item => item.length)) };
+                }
+            }
+            return value.map(item => encodeValue(item, null));
+        }
+        if (value !== null && typeof value === 'object') {
+            const encoded = {};
+            for (const [childKey, child] of Object.entries(value)) {
+                encoded[childKey] = encodeValue(child, childKey);
+            }
+            return encoded;
+        }
+        return value;
+    }
 
-    // Sort string tables by frequency for deterministic output and better compression
-    const sortingStart = Date.now();
-    dataStructure = sortStringTablesByFrequency(dataStructure);
-    const sortingTime = Date.now() - sortingStart;
-    console.log(`Sorted string tables by frequency in ${sortingTime}ms`);
+    const encodedData = encodeValue(data, null);
+    const header = Buffer.from(JSON.stringify({
+        columnLengths: columns.map(column => column.length),
+        data: encodedData
+    }));
+
+    const columnsOffset = Math.ceil((8 + header.length) / 4) * 4;
+    const totalLength = columns.reduce((sum, column) => sum + column.length * 4, columnsOffset);
+    const buffer = Buffer.alloc(totalLength);
+    buffer.write(BINARY_DATA_MAGIC, 0, 'ascii');
+    buffer.writeUInt32LE(header.length, 4);
+    header.copy(buffer, 8);
+
+    let offset = columnsOffset;
+    for (const column of columns) {
+        for (const value of column) {
+            buffer.writeInt32LE(value, offset);
+            offset += 4;
+        }
+    }
+    return buffer;
+}
 
-    // Convert absolute timestamps to relative and apply differential compression (in place)
-    for (const testGroup of dataStructure.testRuns) {
+// Convert absolute timestamps (in ms) to seconds relative to startTime, sort
+// the runs of each status group by time and delta-encode the timestamps (in place)
+function compressTestRunTimestamps(testRuns, startTime) {
+    for (const testGroup of testRuns) {
         if (!testGroup) continue;
 
         for (const statusGroup of testGroup) {
@@ -730,10 +1399,21 @@ async function processJobsAndCreateData(jobs, debug, targetLabel, startTime, met
                 if (statusGroup.minidumps) {
                     run.minidump = statusGroup.minidumps[i];
                 }
-                // Include message data if this is a SKIP status group
+                // Include message data if this is a SKIP or FAIL status group
                 if (statusGroup.messageIds) {
                     run.messageId = statusGroup.messageIds[i];
                 }
+                // Include the manifest condition of skips
+                if (statusGroup.conditionIds) {
+                    run.conditionId = statusGroup.conditionIds[i];
+                }
+                // Include resource usage if present
+                if (statusGroup.averageCpus) {
+                    run.averageCpu = statusGroup.averageCpus[i];
+                }
+                if (statusGroup.peakMemories) {
+                    run.peakMemory = statusGroup.peakMemories[i];
+                }
                 return run;
             });
 
@@ -763,34 +1443,300 @@ async function processJobsAndCreateData(jobs, debug, targetLabel, startTime, met
             if (statusGroup.messageIds) {
                 statusGroup.messageIds = runs.map(run => run.messageId);
             }
+            if (statusGroup.conditionIds) {
+                statusGroup.conditionIds = runs.map(run => run.conditionId);
+            }
+            // Update resource usage arrays if present
+            if (statusGroup.averageCpus) {
+                statusGroup.averageCpus = runs.map(run => run.averageCpu);
+            }
+            if (statusGroup.peakMemories) {
+                statusGroup.peakMemories = runs.map(run => run.peakMemory);
+            }
         }
     }
-
-    // Build output with metadata
-    return {
-        testData: {
-            metadata: {
-                ...metadata,
-                startTime: startTime,
-                generatedAt: new Date().toISOString(),
-                jobCount: jobs.length,
-                processedJobCount: jobResults.length
-            },
-            tables: dataStructure.tables,
-            taskInfo: dataStructure.taskInfo,
-            testInfo: dataStructure.testInfo,
-            testRuns: dataStructure.testRuns
-        },
-        resourceData: createResourceUsageData(jobResults)
-    };
 }
 
-// Process revision data
+// Common function to process jobs and create data structure.
+// When regenerating incrementally, previous holds the results decoded from the
+// existing file (see decodeDailyData) and the task IDs that went into it; only
+// the other jobs are processed. The returned processedTaskIds lists all the
+// jobs the data now covers, except those that failed and should be retried.
+async function processJobsAndCreateData(jobs, debug, targetLabel, startTime, metadata, previous = null) {
+    if (jobs.length === 0) {
+        console.log(`No jobs found for ${targetLabel}.`);
+        return null;
+    }
+
+    const newJobs = previous ? jobs.filter(job => !previous.taskIds.has(getTaskIdString(job))) : jobs;
+    if (previous) {
+        console.log(`${newJobs.length} new jobs to merge into ${previous.results.length} previously processed jobs`);
+    }
+
+    // Process jobs to extract test timings
+    const jobProcessingStart = Date.now();
+    const { results: newResults, failedTaskIds } = await processJobsWithWorkers(newJobs, debug, targetLabel);
+    const jobProcessingTime = Date.now() - jobProcessingStart;
+    console.log(`Successfully processed ${newResults.length} jobs in ${jobProcessingTime}ms`);
+    if (failedTaskIds.length > 0) {
+        console.warn(`${failedTaskIds.length} jobs missing: their profiles couldn't be fetched`);
+    }
+    failedTaskIds.sort();
+
+    const jobResults = previous ? previous.results.concat(newResults) : newResults;
+    const failedTaskIdSet = new Set(failedTaskIds);
+    const processedTaskIds = new Set(previous ? previous.taskIds : []);
+    for (const job of newJobs) {
+        const taskIdString = getTaskIdString(job);
+        if (!failedTaskIdSet.has(taskIdString)) {
+            processedTaskIds.add(taskIdString);
+        }
+    }
+
+    // Workers complete jobs in any order; sort results so test IDs are assigned
+    // in the same order on every run
+    jobResults.sort((a, b) => a.taskId.localeCompare(b.taskId) || a.retryId - b.retryId);
+
+    const getComponent = createComponentLookup(COMPONENT_MAPPING);
+
+    // Create efficient data tables
+    const dataTablesStart = Date.now();
+    let dataStructure = createDataTables(jobResults, getComponent);
+    const dataTablesTime = Date.now() - dataTablesStart;
+    console.log(`Created data tables in ${dataTablesTime}ms:`);
+
+    // Check if any test runs were extracted
+    const hasTestRuns = dataStructure.testRuns.length > 0;
+    if (!hasTestRuns) {
+        console.log(`No test run data extracted for ${targetLabel}`);
+        return null;
+    }
+
+    const totalRuns = dataStructure.testRuns.reduce((sum, testGroup) => {
+        if (!testGroup) return sum;
+        return sum + testGroup.reduce((testSum, statusGroup) => testSum + (statusGroup ? statusGroup.taskIdIds.length : 0), 0);
+    }, 0);
+    console.log(`  ${dataStructure.testInfo.testPathIds.length} tests, ${totalRuns} runs, ${dataStructure.tables.taskIds.length} tasks, ${dataStructure.tables.jobNames.length} job names, ${dataStructure.tables.statuses.length} statuses`);
+
+    // Sort string tables by frequency for deterministic output and better compression
+    const sortingStart = Date.now();
+    dataStructure = sortStringTablesByFrequency(dataStructure);
+    const sortingTime = Date.now() - sortingStart;
+    console.log(`Sorted string tables by frequency in ${sortingTime}ms`);
+
+    // Convert absolute timestamps to relative and apply differential compression
+    compressTestRunTimestamps(dataStructure.testRuns, startTime);
+
+    // Build output with metadata
+    return {
+        testData: {
+            metadata: {
+                ...metadata,
+                startTime: startTime,
+                generatedAt: new Date().toISOString(),
+                jobCount: jobs.length,
+                processedJobCount: jobResults.length,
+                failedTaskIds
+            },
+            tables: dataStructure.tables,
+            taskInfo: dataStructure.taskInfo,
+            testInfo: dataStructure.testInfo,
+            testRuns: dataStructure.testRuns,
+            subtestRuns: dataStructure.subtestRuns
+        },
+        resourceData: createResourceUsageData(jobResults),
+        errorsData: createErrorsData(jobResults, {
+            ...metadata,
+            startTime: startTime,
+            generatedAt: new Date().toISOString(),
+            jobCount: jobs.length
+        }, getComponent),
+        processedTaskIds: [...processedTaskIds].sort()
+    };
+}
+
+// Decode a daily data file and its resources and errors files back into the
+// job results they were created from, so that new jobs can be merged into them.
+// Timestamps come back with the one second resolution the encoding keeps.
+function decodeDailyData(testData, resourceData = null, errorsData = null) {
+    const { tables, taskInfo, testInfo, testRuns } = testData;
+    const startTime = testData.metadata.startTime;
+
+    const results = tables.taskIds.map((taskIdString, taskIdId) => {
+        const separatorIndex = taskIdString.lastIndexOf('.');
+        return {
+            jobName: tables.jobNames[taskInfo.jobNameIds[taskIdId]],
+            taskId: taskIdString.substring(0, separatorIndex),
+            retryId: parseInt(taskIdString.substring(separatorIndex + 1)),
+            repository: tables.repositories[taskInfo.repositoryIds[taskIdId]],
+            revision: tables.commitIds?.[taskInfo.commitIds?.[taskIdId]] ?? null,
+            pushId: taskInfo.pushIds?.[taskIdId] ?? null,
+            pushTimestamp: taskInfo.pushTimestamps?.[taskIdId] ?? null,
+            startTime: null,
+            timings: [],
+            resourceUsage: null
+        };
+    });
+
+    for (let testId = 0; testId < testRuns.length; testId++) {
+        const testGroup = testRuns[testId];
+        if (!testGroup) continue;
+
+        const testPath = tables.testPaths[testInfo.testPathIds[testId]];
+        const testName = tables.testNames[testInfo.testNameIds[testId]];
+        const fullPath = testPath ? `${testPath}/${testName}` : testName;
+
+        for (let statusId = 0; statusId < testGroup.length; statusId++) {
+            const statusGroup = testGroup[statusId];
+            if (!statusGroup) continue;
+
+            const status = tables.statuses[statusId];
+            let timestamp = 0;
+            for (let i = 0; i < statusGroup.taskIdIds.length; i++) {
+                timestamp += statusGroup.timestamps[i];
+                const timing = {
+                    path: fullPath,
+                    status,
+                    duration: statusGroup.durations[i],
+                    timestamp: (startTime + timestamp) * 1000
+                };
+                if (statusGroup.messageIds) {
+                    const messageId = statusGroup.messageIds[i];
+                    timing.message = messageId === null ? null : tables.messages[messageId];
+                }
+                if (statusGroup.crashSignatureIds) {
+                    const crashSignatureId = statusGroup.crashSignatureIds[i];
+                    timing.crashSignature = crashSignatureId === null ? null : tables.crashSignatures[crashSignatureId];
+                    timing.minidump = statusGroup.minidumps[i];
+                }
+                if (statusGroup.averageCpus) {
+                    timing.averageCpu = statusGroup.averageCpus[i];
+                }
+                if (statusGroup.peakMemories) {
+                    timing.peakMemory = statusGroup.peakMemories[i];
+                }
+                const conditionId = statusGroup.conditionIds?.[i] ?? null;
+                if (conditionId !== null) {
+                    const condition = tables.conditions[conditionId];
+                    const separatorIndex = condition.indexOf(': ');
+                    timing.conditionType = condition.substring(0, separatorIndex);
+                    timing.condition = condition.substring(separatorIndex + 2);
+                }
+                results[statusGroup.taskIdIds[i]].timings.push(timing);
+            }
+        }
+    }
+
+    for (const result of results) {
+        result.timings.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // Daily files generated before subtest results were recorded have none
+    const subtestRuns = testData.subtestRuns || [];
+    for (let testId = 0; testId < subtestRuns.length; testId++) {
+        const subtestGroup = subtestRuns[testId];
+        if (!subtestGroup) continue;
+
+        const testPath = tables.testPaths[testInfo.testPathIds[testId]];
+        const testName = tables.testNames[testInfo.testNameIds[testId]];
+        const fullPath = testPath ? `${testPath}/${testName}` : testName;
+
+        for (let i = 0; i < subtestGroup.subtestIds.length; i++) {
+            // Which run a result belongs to isn't kept when a test ran several
+            // times in a task, so it goes to the last one
+            const timing = results[subtestGroup.taskIdIds[i]].timings.findLast(candidate => candidate.path === fullPath);
+            if (!timing.subtests) {
+                timing.subtests = [];
+            }
+            const subtest = {
+                name: tables.subtests[subtestGroup.subtestIds[i]],
+                status: tables.statuses[subtestGroup.statusIds[i]]
+            };
+            if (subtestGroup.messageIds[i] !== null) {
+                subtest.message = tables.messages[subtestGroup.messageIds[i]];
+            }
+            timing.subtests.push(subtest);
+        }
+    }
+
+    if (resourceData) {
+        // Resource task IDs omit ".0" for the first run
+        const resultsByTaskId = new Map(results.map(result => [`${result.taskId}.${result.retryId}`, result]));
+        const { jobs } = resourceData;
+        let jobStartTime = 0;
+        for (let i = 0; i < jobs.taskIds.length; i++) {
+            jobStartTime += jobs.startTimes[i];
+            const taskIdString = jobs.taskIds[i].includes('.') ? jobs.taskIds[i] : `${jobs.taskIds[i]}.0`;
+            const result = resultsByTaskId.get(taskIdString);
+            if (!result) continue;
+
+            result.startTime = jobStartTime;
+            result.resourceUsage = {
+                machineInfo: resourceData.machineInfos[jobs.machineInfoIds[i]],
+                maxMemory: jobs.maxMemories[i],
+                idleTime: jobs.idleTimes[i],
+                singleCoreTime: jobs.singleCoreTimes[i],
+                cpuBuckets: jobs.cpuBuckets[i]
+            };
+        }
+    }
+
+    if (errorsData) {
+        const resultsByTaskId = new Map(results.map(result => [`${result.taskId}.${result.retryId}`, result]));
+        forEachErrorOccurrence(errorsData, ({ taskId, jobName, repository, ...logMessage }) => {
+            const result = resultsByTaskId.get(taskId);
+            if (!result) return;
+            if (!result.logMessages) {
+                result.logMessages = [];
+            }
+            result.logMessages.push(logMessage);
+        });
+    }
+
+    return results;
+}
+
+// Manifest of the jobs that went into a daily file, including those that had
+// no test timings, so incremental runs only process new or retried jobs
+function getTaskManifestFile(targetDate) {
+    return path.join(CACHE_DIR, `${HARNESS}-${targetDate}-tasks.json`);
+}
+
+// Load what an incremental run needs to extend an existing daily file.
+// Returns null when there is nothing to extend.
+function loadPreviousDailyData(targetDate) {
+    const cacheFile = path.join(CACHE_DIR, `${HARNESS}-${targetDate}.json`);
+    if (!fs.existsSync(cacheFile)) {
+        return null;
+    }
+
+    const testData = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+    const resourceCacheFile = path.join(CACHE_DIR, `${HARNESS}-${targetDate}-resources.json`);
+    const resourceData = fs.existsSync(resourceCacheFile)
+        ? JSON.parse(fs.readFileSync(resourceCacheFile, 'utf-8'))
+        : null;
+    const errorsCacheFile = path.join(CACHE_DIR, `${HARNESS}-${targetDate}-errors.json`);
+    const errorsData = fs.existsSync(errorsCacheFile)
+        ? JSON.parse(fs.readFileSync(errorsCacheFile, 'utf-8'))
+        : null;
+    const results = decodeDailyData(testData, resourceData, errorsData);
+
+    // Files generated before manifests existed only tell us about the jobs
+    // that had test timings, the others will be processed again
+    const manifestFile = getTaskManifestFile(targetDate);
+    const taskIds = fs.existsSync(manifestFile)
+        ? JSON.parse(fs.readFileSync(manifestFile, 'utf-8')).taskIds
+        : testData.tables.taskIds;
+
+    return { results, taskIds: new Set(taskIds) };
+}
+
+// Process revision data
 async function processRevisionData(project, revision, forceRefetch = false, debug = false) {
-    console.log(`Fetching xpcshell test data for ${project}:${revision}`);
+    console.log(`Fetching ${HARNESS} test data for ${project}:${revision}`);
     console.log(`=== Processing ${project}:${revision} ===`);
 
-    const cacheFile = path.join(CACHE_DIR, `xpcshell-${project}-${revision}.json`);
+    const cacheFile = path.join(CACHE_DIR, `${HARNESS}-${project}-${revision}.json`);
 
     // Check if we already have data for this revision
     if (fs.existsSync(cacheFile) && !forceRefetch) {
@@ -803,19 +1749,19 @@ async function processRevisionData(project, revision, forceRefetch = false, debu
     }
 
     try {
-        // Fetch push ID from revision
-        const pushId = await fetchCommitData(project, revision);
+        // Fetch the push of the revision
+        const push = await fetchCommitData(project, revision);
 
         // Fetch jobs for the push
-        const jobs = await fetchPushJobs(project, pushId);
+        const jobs = await fetchPushJobs(project, push);
 
         if (jobs.length === 0) {
-            console.log(`No xpcshell jobs found for ${project}:${revision}.`);
+            console.log(`No ${HARNESS} jobs found for ${project}:${revision}.`);
             return null;
         }
 
         // Use the last_modified time of the first job as start time
-        const startTime = jobs.length > 0 ? Math.floor(new Date(jobs[0].start_time).getTime() / 1000) : Math.floor(Date.now() / 1000);
+        const startTime = jobs.length > 0 ? Math.floor(parseJobTime(jobs[0].start_time) / 1000) : Math.floor(Date.now() / 1000);
 
         // Process using common function
         const output = await processJobsAndCreateData(
@@ -826,15 +1772,17 @@ async function processRevisionData(project, revision, forceRefetch = false, debu
             {
                 project: project,
                 revision: revision,
-                pushId: pushId
+                pushId: push.id,
+                harness: HARNESS
             }
         );
 
         if (!output) return null;
 
         saveJsonFile(output.testData, cacheFile, debug);
-        const resourceCacheFile = path.join(CACHE_DIR, `xpcshell-${project}-${revision}-resources.json`);
+        const resourceCacheFile = path.join(CACHE_DIR, `${HARNESS}-${project}-${revision}-resources.json`);
         saveJsonFile(output.resourceData, resourceCacheFile, debug);
+        saveJsonFile(output.errorsData, path.join(CACHE_DIR, `${HARNESS}-${project}-${revision}-errors.json`), debug);
 
         return output;
     } catch (error) {
@@ -843,12 +1791,84 @@ async function processRevisionData(project, revision, forceRefetch = false, debu
     }
 }
 
+// Process the pushes of a range of revisions (--range project:from..to) into
+// one <harness>-<project>-<from>..<to>.json file. The jobs of all the pushes
+// go through the worker pool together, and the metadata lists the pushes in
+// order with their job counts; taskInfo.pushIds gives the push of each run.
+async function processRangeData(project, fromRevision, toRevision, forceRefetch = false, debug = false) {
+    const label = `${project}-${fromRevision}..${toRevision}`;
+    console.log(`=== Processing ${label} ===`);
+
+    const cacheFile = path.join(CACHE_DIR, `${HARNESS}-${label}.json`);
+
+    if (fs.existsSync(cacheFile) && !forceRefetch) {
+        console.log(`Data for ${label} already exists. Skipping.`);
+        return null;
+    }
+
+    if (forceRefetch) {
+        console.log(`Force flag detected, re-fetching data for ${label}...`);
+    }
+
+    try {
+        const pushes = await fetchPushRange(project, fromRevision, toRevision);
+
+        let jobs = [];
+        const pushMetadata = [];
+        for (const push of pushes) {
+            const pushJobs = await fetchPushJobs(project, push);
+            jobs = jobs.concat(pushJobs);
+            pushMetadata.push({
+                id: push.id,
+                revision: push.revision,
+                pushTimestamp: push.push_timestamp,
+                jobCount: pushJobs.length
+            });
+        }
+
+        if (jobs.length === 0) {
+            console.log(`No ${HARNESS} jobs found for ${label}.`);
+            return null;
+        }
+
+        // Times are relative to the first push, which is before all the jobs
+        const startTime = pushes[0].push_timestamp;
+
+        const output = await processJobsAndCreateData(
+            jobs,
+            debug,
+            label,
+            startTime,
+            {
+                project: project,
+                fromRevision: fromRevision,
+                toRevision: toRevision,
+                pushes: pushMetadata,
+                harness: HARNESS
+            }
+        );
+
+        if (!output) return null;
+
+        saveJsonFile(output.testData, cacheFile, debug);
+        saveJsonFile(output.resourceData, path.join(CACHE_DIR, `${HARNESS}-${label}-resources.json`), debug);
+        saveJsonFile(output.errorsData, path.join(CACHE_DIR, `${HARNESS}-${label}-errors.json`), debug);
+
+        return output;
+    } catch (error) {
+        console.error(`Error processing ${label}:`, error);
+        return null;
+    }
+}
+
 // Process data for a single date
-async function processDateData(targetDate, forceRefetch = false, debug = false) {
-    const cacheFile = path.join(CACHE_DIR, `xpcshell-${targetDate}.json`);
+// With incremental set, an existing daily file is extended with the jobs it
+// doesn't cover yet (late or retried jobs, and jobs that previously failed)
+async function processDateData(targetDate, forceRefetch = false, debug = false, incremental = false) {
+    const cacheFile = path.join(CACHE_DIR, `${HARNESS}-${targetDate}.json`);
 
     // Check if we already have data for this date
-    if (fs.existsSync(cacheFile) && !forceRefetch) {
+    if (fs.existsSync(cacheFile) && !forceRefetch && !incremental) {
         console.log(`Data for ${targetDate} already exists. Skipping.`);
         return null;
     }
@@ -866,6 +1886,12 @@ async function processDateData(targetDate, forceRefetch = false, debug = false)
             return null;
         }
 
+        const previous = incremental && !forceRefetch ? loadPreviousDailyData(targetDate) : null;
+        if (previous && jobs.every(job => previous.taskIds.has(getTaskIdString(job)))) {
+            console.log(`Data for ${targetDate} is up to date.`);
+            return null;
+        }
+
         // Calculate start of day timestamp for relative time calculation
         const startOfDay = new Date(targetDate + 'T00:00:00.000Z');
         const startTime = Math.floor(startOfDay.getTime() / 1000); // Convert to seconds
@@ -877,15 +1903,19 @@ async function processDateData(targetDate, forceRefetch = false, debug = false)
             targetDate,
             startTime,
             {
-                date: targetDate
-            }
+                date: targetDate,
+                harness: HARNESS
+            },
+            previous
         );
 
         if (!output) return null;
 
         saveJsonFile(output.testData, cacheFile, debug);
-        const resourceCacheFile = path.join(CACHE_DIR, `xpcshell-${targetDate}-resources.json`);
+        const resourceCacheFile = path.join(CACHE_DIR, `${HARNESS}-${targetDate}-resources.json`);
         saveJsonFile(output.resourceData, resourceCacheFile, debug);
+        saveJsonFile(output.errorsData, path.join(CACHE_DIR, `${HARNESS}-${targetDate}-errors.json`), debug);
+        saveJsonFile({ date: targetDate, taskIds: output.processedTaskIds }, getTaskManifestFile(targetDate), debug);
 
         return output;
     } catch (error) {
@@ -894,10 +1924,607 @@ async function processDateData(targetDate, forceRefetch = false, debug = false)
     }
 }
 
+// Time of a slice boundary as used in file names, e.g. 20250131T143000Z
+function formatSliceTime(time) {
+    return new Date(time).toISOString().replace(/\.\d+Z$/, 'Z').replace(/[-:]/g, '');
+}
+
+// Process the jobs of a time window (--from/--to) rather than a whole day,
+// optionally only those of one repository (--repository) or with a name
+// matching a regexp (--job-filter). The jobs are filtered before any profile
+// is fetched, and the data goes to <harness>-slice-<from>-<to>.json (with its
+// resources and errors files), so partial data never replaces a daily file.
+// Slice files are always regenerated, as the same window can be sliced with
+// different filters.
+async function processSliceData(filters, debug = false) {
+    const label = `slice-${formatSliceTime(filters.from)}-${formatSliceTime(filters.to)}`;
+    const cacheFile = path.join(CACHE_DIR, `${HARNESS}-${label}.json`);
+
+    try {
+        // The jobs of all the days the window overlaps are fetched at once
+        // (Redash returns its whole result whatever the day)
+        const dates = [];
+        const lastDate = new Date(filters.to - 1).toISOString().split('T')[0];
+        for (let date = new Date(filters.from).toISOString().split('T')[0]; date <= lastDate; date = shiftDateString(date, 1)) {
+            dates.push(date);
+        }
+        console.log(`Fetching ${HARNESS} test data for ${dates.join(', ')}...`);
+        const jobsByDate = await JOB_SOURCE.fetchDatesJobs(dates);
+
+        // Days without any job are outside of what the job source covers
+        // (e.g. before the last few days the Redash query returns)
+        const missingDates = dates.filter(date => !jobsByDate.has(date));
+        if (missingDates.length === dates.length) {
+            console.error(`Error: the job source has no jobs from ${dates[0]} to ${lastDate}, the slice is outside of what it covers`);
+            process.exitCode = 1;
+            return null;
+        }
+        if (missingDates.length > 0) {
+            console.warn(`Warning: the job source has no jobs on ${missingDates.join(', ')}, the slice only covers the other days`);
+        }
+
+        const jobs = [...jobsByDate.values()].flat().filter(job => isHarnessJob(job.name));
+        const sliceJobs = filterJobs(jobs, filters);
+        console.log(`${sliceJobs.length} of ${jobs.length} jobs are in the slice`);
+
+        const output = await processJobsAndCreateData(
+            sliceJobs,
+            debug,
+            label,
+            Math.floor(filters.from / 1000),
+            {
+                from: new Date(filters.from).toISOString(),
+                to: new Date(filters.to).toISOString(),
+                repository: filters.repository,
+                jobFilter: filters.jobFilter ? filters.jobFilter.source : null,
+                harness: HARNESS
+            }
+        );
+
+        if (!output) return null;
+
+        saveJsonFile(output.testData, cacheFile, debug);
+        saveJsonFile(output.resourceData, path.join(CACHE_DIR, `${HARNESS}-${label}-resources.json`), debug);
+        saveJsonFile(output.errorsData, path.join(CACHE_DIR, `${HARNESS}-${label}-errors.json`), debug);
+
+        return output;
+    } catch (error) {
+        console.error(`Error processing ${label}:`, error);
+        return null;
+    }
+}
+
+// Number of chunk files test.html looks tests up in (see getChunkIndex)
+const TEST_CHUNK_COUNT = 64;
+
+// Shift a YYYY-MM-DD date string by a number of days
+function shiftDateString(dateString, days) {
+    const date = new Date(dateString + 'T00:00:00.000Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// Statuses whose runs are summarized by duration per job name in the
+// aggregated files (PASS, PASS-PARALLEL, ..., OK and EXPECTED-FAIL), instead of
+// one bucket of task IDs per day and message
+function isPassLikeStatus(status) {
+    return status.startsWith('PASS') || status === 'OK' || status === 'EXPECTED-FAIL';
+}
+
+// Create a builder merging daily data files into the bucketed multi-day format.
+// Runs of a test/status are grouped into buckets per day (delta-encoded in
+// `days`) and per message or crash signature. Without task IDs, each bucket
+// only keeps its run count (`counts`). With task IDs, failing statuses keep
+// the task IDs of each bucket (`taskIdIds`), and passing statuses keep their
+// durations per day and job name (`durations`, `jobNameIds`, with the runs'
+// `averageCpus` and `peakMemories` when known). Failing subtest results are
+// few enough to keep one entry each in `subtestRuns`, with their day.
+function createHistoricalDataBuilder(withTaskIds) {
+    const tableNames = withTaskIds
+        ? ['jobNames', 'testPaths', 'testNames', 'repositories', 'statuses', 'taskIds', 'messages', 'crashSignatures', 'commitIds', 'components', 'conditions', 'subtests']
+        : ['testPaths', 'testNames', 'statuses', 'messages', 'crashSignatures', 'components', 'conditions', 'subtests'];
+    const tables = {};
+    const stringMaps = {};
+    for (const tableName of tableNames) {
+        tables[tableName] = [];
+        stringMaps[tableName] = new Map();
+    }
+
+    const taskInfo = {
+        repositoryIds: [],
+        jobNameIds: [],
+        commitIds: [],
+        pushIds: [],
+        pushTimestamps: []
+    };
+    const testInfo = {
+        testPathIds: [],
+        testNameIds: [],
+        componentIds: []
+    };
+    const testIdMap = new Map();
+    // bucketMaps[testId][statusId] = Map of bucket key -> bucket, in insertion (day) order
+    const bucketMaps = [];
+    // subtestResults[testId] = array of { day, subtestId, statusId, messageId, taskIdId }
+    const subtestResults = [];
+
+    function findStringIndex(tableName, string) {
+        const map = stringMaps[tableName];
+        let index = map.get(string);
+        if (index === undefined) {
+            index = tables[tableName].length;
+            tables[tableName].push(string);
+            map.set(string, index);
+        }
+        return index;
+    }
+
+    function findTaskIdIndex(data, oldTaskIdId) {
+        const taskIdId = findStringIndex('taskIds', data.tables.taskIds[oldTaskIdId]);
+        if (taskInfo.repositoryIds[taskIdId] === undefined) {
+            taskInfo.repositoryIds[taskIdId] = findStringIndex('repositories', data.tables.repositories[data.taskInfo.repositoryIds[oldTaskIdId]]);
+            taskInfo.jobNameIds[taskIdId] = findStringIndex('jobNames', data.tables.jobNames[data.taskInfo.jobNameIds[oldTaskIdId]]);
+            // Daily files generated before push revisions were recorded have none
+            const oldCommitId = data.taskInfo.commitIds?.[oldTaskIdId] ?? null;
+            taskInfo.commitIds[taskIdId] = oldCommitId === null ? null : findStringIndex('commitIds', data.tables.commitIds[oldCommitId]);
+            taskInfo.pushIds[taskIdId] = data.taskInfo.pushIds?.[oldTaskIdId] ?? null;
+            taskInfo.pushTimestamps[taskIdId] = data.taskInfo.pushTimestamps?.[oldTaskIdId] ?? null;
+        }
+        return taskIdId;
+    }
+
+    // Merge all the runs of one test from a daily data file, for the given day index
+    function addTestRuns(data, oldTestId, fullPath, day) {
+        const testGroup = data.testRuns[oldTestId];
+        if (!testGroup) return;
+
+        let testId = testIdMap.get(fullPath);
+        if (testId === undefined) {
+            testId = testInfo.testPathIds.length;
+            testInfo.testPathIds.push(findStringIndex('testPaths', data.tables.testPaths[data.testInfo.testPathIds[oldTestId]]));
+            testInfo.testNameIds.push(findStringIndex('testNames', data.tables.testNames[data.testInfo.testNameIds[oldTestId]]));
+            testInfo.componentIds.push(null);
+            testIdMap.set(fullPath, testId);
+            bucketMaps[testId] = [];
+            subtestResults[testId] = [];
+        }
+
+        // Use the component from the most recent day that has one
+        const oldComponentId = data.testInfo.componentIds?.[oldTestId] ?? null;
+        if (oldComponentId !== null) {
+            testInfo.componentIds[testId] = findStringIndex('components', data.tables.components[oldComponentId]);
+        }
+
+        testGroup.forEach((statusGroup, oldStatusId) => {
+            if (!statusGroup) return;
+
+            const status = data.tables.statuses[oldStatusId];
+            const statusId = findStringIndex('statuses', status);
+            const passLike = withTaskIds && isPassLikeStatus(status);
+            if (!bucketMaps[testId][statusId]) {
+                bucketMaps[testId][statusId] = new Map();
+            }
+            const buckets = bucketMaps[testId][statusId];
+
+            for (let i = 0; i < statusGroup.taskIdIds.length; i++) {
+                const oldMessageId = statusGroup.messageIds?.[i];
+                const messageId = oldMessageId === null || oldMessageId === undefined ? null : findStringIndex('messages', data.tables.messages[oldMessageId]);
+                const oldSignatureId = statusGroup.crashSignatureIds?.[i];
+                const crashSignatureId = oldSignatureId === null || oldSignatureId === undefined ? null : findStringIndex('crashSignatures', data.tables.crashSignatures[oldSignatureId]);
+
+                let key;
+                let jobNameId = null;
+                if (passLike) {
+                    const taskIdId = findTaskIdIndex(data, statusGroup.taskIdIds[i]);
+                    jobNameId = taskInfo.jobNameIds[taskIdId];
+                    key = `${day}:${jobNameId}`;
+                } else {
+                    key = `${day}:${messageId}:${crashSignatureId}`;
+                }
+
+                let bucket = buckets.get(key);
+                if (!bucket) {
+                    // The manifest condition comes with the message, so it's the same for the whole bucket
+                    const oldConditionId = statusGroup.conditionIds?.[i] ?? null;
+                    const conditionId = oldConditionId === null ? null : findStringIndex('conditions', data.tables.conditions[oldConditionId]);
+                    bucket = {
+                        day, messageId, crashSignatureId, conditionId, jobNameId, count: 0,
+                        taskIdIds: [], durations: [], averageCpus: [], peakMemories: [], minidumps: []
+                    };
+                    buckets.set(key, bucket);
+                }
+                bucket.count++;
+
+                if (passLike) {
+                    bucket.durations.push(statusGroup.durations[i]);
+                    bucket.averageCpus.push(statusGroup.averageCpus?.[i] ?? null);
+                    bucket.peakMemories.push(statusGroup.peakMemories?.[i] ?? null);
+                } else if (withTaskIds) {
+                    bucket.taskIdIds.push(findTaskIdIndex(data, statusGroup.taskIdIds[i]));
+                    if (statusGroup.minidumps) {
+                        bucket.minidumps.push(statusGroup.minidumps[i]);
+                    }
+                }
+            }
+        });
+
+        // Daily files generated before subtest results were recorded have none
+        const subtestGroup = data.subtestRuns?.[oldTestId];
+        if (!subtestGroup) return;
+        for (let i = 0; i < subtestGroup.subtestIds.length; i++) {
+            const oldMessageId = subtestGroup.messageIds[i];
+            subtestResults[testId].push({
+                day,
+                subtestId: findStringIndex('subtests', data.tables.subtests[subtestGroup.subtestIds[i]]),
+                statusId: findStringIndex('statuses', data.tables.statuses[subtestGroup.statusIds[i]]),
+                messageId: oldMessageId === null ? null : findStringIndex('messages', data.tables.messages[oldMessageId]),
+                taskIdId: withTaskIds ? findTaskIdIndex(data, subtestGroup.taskIdIds[i]) : null
+            });
+        }
+    }
+
+    // Convert the collected buckets to the output format
+    function finish(metadata) {
+        const testRuns = bucketMaps.map(statusMaps => statusMaps.map((buckets, statusId) => {
+            if (!buckets) return buckets;
+
+            const status = tables.statuses[statusId];
+            const passLike = withTaskIds && isPassLikeStatus(status);
+            const sortedBuckets = [...buckets.values()].sort((a, b) => a.day - b.day);
+            const hasMessages = sortedBuckets.some(bucket => bucket.messageId !== null) || statusHasMessage(status);
+            const hasCrashSignatures = status === 'CRASH';
+
+            const statusGroup = { days: [] };
+            let previousDay = 0;
+            for (const bucket of sortedBuckets) {
+                statusGroup.days.push(bucket.day - previousDay);
+                previousDay = bucket.day;
+            }
+
+            if (passLike) {
+                statusGroup.jobNameIds = sortedBuckets.map(bucket => bucket.jobNameId);
+                statusGroup.durations = sortedBuckets.map(bucket => bucket.durations);
+                // Resource usage of each run, parallel to durations
+                for (const key of ['averageCpus', 'peakMemories']) {
+                    if (sortedBuckets.some(bucket => bucket[key].some(value => value !== null))) {
+                        statusGroup[key] = sortedBuckets.map(bucket => bucket[key]);
+                    }
+                }
+                return statusGroup;
+            }
+
+            if (withTaskIds) {
+                statusGroup.taskIdIds = sortedBuckets.map(bucket => bucket.taskIdIds);
+            } else {
+                statusGroup.counts = sortedBuckets.map(bucket => bucket.count);
+            }
+            if (hasMessages) {
+                statusGroup.messageIds = sortedBuckets.map(bucket => bucket.messageId);
+            }
+            if (sortedBuckets.some(bucket => bucket.conditionId !== null)) {
+                statusGroup.conditionIds = sortedBuckets.map(bucket => bucket.conditionId);
+            }
+            if (hasCrashSignatures) {
+                statusGroup.crashSignatureIds = sortedBuckets.map(bucket => bucket.crashSignatureId);
+                if (withTaskIds) {
+                    statusGroup.minidumps = sortedBuckets.map(bucket => bucket.minidumps);
+                }
+            }
+            return statusGroup;
+        }));
+
+        const subtestRuns = subtestResults.map(results => {
+            if (results.length === 0) return null;
+
+            const sortedResults = [...results].sort((a, b) => a.day - b.day);
+            const subtestGroup = {
+                subtestIds: sortedResults.map(result => result.subtestId),
+                statusIds: sortedResults.map(result => result.statusId),
+                messageIds: sortedResults.map(result => result.messageId),
+                days: []
+            };
+            let previousDay = 0;
+            for (const result of sortedResults) {
+                subtestGroup.days.push(result.day - previousDay);
+                previousDay = result.day;
+            }
+            if (withTaskIds) {
+                subtestGroup.taskIdIds = sortedResults.map(result => result.taskIdId);
+            }
+            return subtestGroup;
+        });
+
+        // Daily files generated without a component mapping have no components
+        if (tables.components.length === 0) {
+            delete tables.components;
+            delete testInfo.componentIds;
+        }
+
+        const output = {
+            metadata,
+            tables,
+            testInfo,
+            testRuns,
+            subtestRuns
+        };
+        if (withTaskIds) {
+            output.taskInfo = taskInfo;
+        }
+        return output;
+    }
+
+    return {
+        addTestRuns,
+        finish,
+        getTestCount: () => testInfo.testPathIds.length
+    };
+}
+
+// Merge the daily data files of the last numDays days into the multi-day
+// <harness>-issues.json and <harness>-issues-with-taskids.json files, plus the
+// per-chunk <harness>-<chunk>.json files test.html looks tests up in, and the
+// daily errors files into <harness>-errors(-with-taskids).json
+async function aggregateHistoricalData(numDays, debug = false) {
+    const availableDates = fs.readdirSync(CACHE_DIR)
+        .map(file => file.match(DAILY_FILE_PATTERN))
+        .filter(match => match)
+        .map(match => match[1])
+        .sort();
+
+    if (availableDates.length === 0) {
+        console.log(`No daily ${HARNESS} data files found in ${CACHE_DIR}. Run without --aggregate first.`);
+        return null;
+    }
+
+    // End the window on the most recent daily file
+    const endDate = availableDates[availableDates.length - 1];
+    const startDate = shiftDateString(endDate, -(numDays - 1));
+    const startTime = Math.floor(new Date(startDate + 'T00:00:00.000Z').getTime() / 1000);
+    console.log(`Aggregating ${HARNESS} data for ${numDays} day${numDays > 1 ? 's' : ''} (${startDate} to ${endDate})...`);
+
+    const issuesBuilder = createHistoricalDataBuilder(false);
+    const taskIdsBuilder = createHistoricalDataBuilder(true);
+    const chunkBuilders = [];
+    for (let i = 0; i < TEST_CHUNK_COUNT; i++) {
+        chunkBuilders.push(createHistoricalDataBuilder(true));
+    }
+    const errorsBuilder = createErrorsDataBuilder(false, true);
+    const errorsTaskIdsBuilder = createErrorsDataBuilder(true, true);
+    let errorsJobCount = 0;
+
+    const includedDates = [];
+    let jobCount = 0;
+    let processedJobCount = 0;
+    let failedJobCount = 0;
+
+    for (let day = 0; day < numDays; day++) {
+        const date = shiftDateString(startDate, day);
+        const dailyFile = path.join(CACHE_DIR, `${HARNESS}-${date}.json`);
+        if (!fs.existsSync(dailyFile)) {
+            console.warn(`  Missing ${dailyFile}, day ${date} will be empty`);
+            continue;
+        }
+
+        // Only one daily file is held in memory at a time
+        const data = JSON.parse(fs.readFileSync(dailyFile, 'utf-8'));
+        if (!data.testRuns || !data.tables || !data.testInfo) {
+            console.warn(`  Ignoring ${dailyFile}: unexpected format`);
+            continue;
+        }
+
+        for (let testId = 0; testId < data.testRuns.length; testId++) {
+            if (!data.testRuns[testId]) continue;
+
+            const dirPath = data.tables.testPaths[data.testInfo.testPathIds[testId]];
+            const testName = data.tables.testNames[data.testInfo.testNameIds[testId]];
+            const fullPath = dirPath ? `${dirPath}/${testName}` : testName;
+
+            issuesBuilder.addTestRuns(data, testId, fullPath, day);
+            taskIdsBuilder.addTestRuns(data, testId, fullPath, day);
+            chunkBuilders[getChunkIndex(fullPath, TEST_CHUNK_COUNT)].addTestRuns(data, testId, fullPath, day);
+        }
+
+        includedDates.push(date);
+        jobCount += data.metadata?.jobCount || 0;
+        processedJobCount += data.metadata?.processedJobCount || 0;
+        failedJobCount += data.metadata?.failedTaskIds?.length || 0;
+        if (debug) {
+            console.log(`  Merged ${dailyFile}`);
+        }
+
+        const errorsFile = path.join(CACHE_DIR, `${HARNESS}-${date}-errors.json`);
+        if (fs.existsSync(errorsFile)) {
+            const errorsData = JSON.parse(fs.readFileSync(errorsFile, 'utf-8'));
+            forEachErrorOccurrence(errorsData, occurrence => {
+                errorsBuilder.add({ ...occurrence, day });
+                errorsTaskIdsBuilder.add({ ...occurrence, day });
+            });
+            errorsJobCount += errorsData.metadata?.jobCount || 0;
+        }
+    }
+
+    const metadata = {
+        harness: HARNESS,
+        days: numDays,
+        startDate,
+        endDate,
+        startTime,
+        dates: includedDates,
+        generatedAt: new Date().toISOString(),
+        jobCount,
+        processedJobCount,
+        failedJobCount
+    };
+
+    console.log(`Merged ${includedDates.length} daily files, ${issuesBuilder.getTestCount()} tests`);
+
+    saveJsonFile(issuesBuilder.finish(metadata), path.join(CACHE_DIR, `${HARNESS}-issues.json`), debug);
+    saveJsonFile(taskIdsBuilder.finish(metadata), path.join(CACHE_DIR, `${HARNESS}-issues-with-taskids.json`), debug);
+
+    chunkBuilders.forEach((builder, chunk) => {
+        const chunkHex = chunk.toString(16).padStart(2, '0');
+        const chunkFile = path.join(CACHE_DIR, `${HARNESS}-${chunkHex}.json`);
+        saveJsonFile(builder.finish(metadata), chunkFile, debug, true);
+    });
+    console.log(`Saved ${TEST_CHUNK_COUNT} test chunk files${WRITE_BINARY ? ' (with binary versions)' : ''}`);
+
+    const errorsMetadata = {
+        harness: HARNESS,
+        days: numDays,
+        startDate,
+        endDate,
+        startTime,
+        generatedAt: metadata.generatedAt,
+        jobCount: errorsJobCount
+    };
+    saveJsonFile(errorsBuilder.finish(errorsMetadata), path.join(CACHE_DIR, `${HARNESS}-errors.json`), debug);
+    saveJsonFile(errorsTaskIdsBuilder.finish(errorsMetadata), path.join(CACHE_DIR, `${HARNESS}-errors-with-taskids.json`), debug);
+
+    return metadata;
+}
+
+// Profile cache commands (--cache <command>, see profile-cache.js):
+//   list                                   number, size and age of the cached profiles
+//   prune [--max-age <days>] [--max-size <size>]
+//                                          remove the least recently used profiles
+//   verify                                 check that the cached profiles decompress
+//   prefetch [--date <date> | --revision <project:revision>]
+//                                          download profiles without processing them
+async function runCacheCommand(command, targetDateArg, debug) {
+    if (command === 'list') {
+        const entries = listCacheEntries(PROFILE_CACHE_DIR);
+        const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        console.log(`${entries.length} profiles in ${PROFILE_CACHE_DIR}, ${formatSize(totalBytes)}`);
+        if (entries.length > 0) {
+            const formatAge = entry => `${((Date.now() - entry.mtimeMs) / (24 * 60 * 60 * 1000)).toFixed(1)} days`;
+            console.log(`Least recently used: ${entries[0].file} (${formatAge(entries[0])} ago)`);
+            console.log(`Most recently used: ${entries[entries.length - 1].file} (${formatAge(entries[entries.length - 1])} ago)`);
+        }
+        if (debug) {
+            entries.forEach(entry => console.log(`  ${entry.file}  ${formatSize(entry.size)}  ${new Date(entry.mtimeMs).toISOString()}`));
+        }
+        return;
+    }
+
+    if (command === 'prune') {
+        const maxAgeDays = getIntegerArg('--max-age', null);
+        let maxBytes = null;
+        if (process.argv.includes('--max-size')) {
+            maxBytes = parseSize(process.argv[process.argv.indexOf('--max-size') + 1]);
+            if (maxBytes === null) {
+                console.error('Error: --max-size requires a size (e.g., 500M or 20G)');
+                process.exit(1);
+            }
+        }
+        if (maxAgeDays === null && maxBytes === null) {
+            console.error('Error: --cache prune requires --max-age <days> and/or --max-size <size>');
+            process.exit(1);
+        }
+
+        const maxAgeMs = maxAgeDays === null ? null : maxAgeDays * 24 * 60 * 60 * 1000;
+        const { removed, freedBytes } = pruneCache(PROFILE_CACHE_DIR, { maxAgeMs, maxBytes });
+        console.log(`Removed ${removed} profiles from ${PROFILE_CACHE_DIR}, freeing ${formatSize(freedBytes)}`);
+        return;
+    }
+
+    if (command === 'verify') {
+        const entries = listCacheEntries(PROFILE_CACHE_DIR);
+        let invalidCount = 0;
+        for (const entry of entries) {
+            const error = await verifyCacheEntry(path.join(PROFILE_CACHE_DIR, entry.file));
+            if (error) {
+                invalidCount++;
+                console.warn(`${entry.file}: ${error}`);
+            }
+        }
+        console.log(`${entries.length - invalidCount} of ${entries.length} cached profiles are valid`);
+        if (invalidCount > 0) {
+            // Broken entries are downloaded again when next used
+            console.log('Remove the invalid profiles to have them downloaded again.');
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    if (command === 'prefetch') {
+        if (FIXTURES) {
+            console.error('Error: --cache prefetch can\'t be combined with --record or --replay, which bypass the profile cache');
+            process.exit(1);
+        }
+
+        let jobs;
+        let label;
+        const revisionIndex = process.argv.indexOf('--revision');
+        if (revisionIndex !== -1) {
+            const parts = (process.argv[revisionIndex + 1] || '').split(':');
+            if (parts.length !== 2) {
+                console.error('Error: --revision must be in format project:revision (e.g., try:abc123 or autoland:def456)');
+                process.exit(1);
+            }
+            const [project, revision] = parts;
+            jobs = await fetchPushJobs(project, await fetchCommitData(project, revision));
+            label = `${project}:${revision}`;
+        } else {
+            label = targetDateArg || getDateString(1);
+            jobs = await fetchXpcshellData(label);
+        }
+
+        const cachedBefore = listCacheEntries(PROFILE_CACHE_DIR).length;
+        const { failedTaskIds } = await processJobsWithWorkers(jobs, debug, label, true);
+        const downloaded = listCacheEntries(PROFILE_CACHE_DIR).length - cachedBefore;
+        console.log(`Prefetched ${downloaded} profiles for ${label} (${jobs.length} jobs, ${failedTaskIds.length} failed)`);
+        if (failedTaskIds.length > 0) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    console.error('Error: --cache requires a command: list, prune, verify or prefetch');
+    process.exit(1);
+}
+
 // Main function
 async function main() {
-    const forceRefetch = process.argv.includes('--force');
+    // Ensure cache directories exist
+    if (!fs.existsSync(CACHE_DIR)) {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+    }
+    if (!fs.existsSync(PROFILE_CACHE_DIR)) {
+        fs.mkdirSync(PROFILE_CACHE_DIR, { recursive: true });
+    }
+
+    // Replaying recorded responses is only useful if the data gets regenerated
+    const forceRefetch = process.argv.includes('--force') || FIXTURES?.mode === 'replay';
     const debug = process.argv.includes('--debug');
+    // Extend existing daily files with the jobs they don't cover yet
+    const incremental = process.argv.includes('--incremental');
+
+    // Check for --golden parameter: compare the generated data with a golden
+    // file (typically together with --replay), or rewrite it with --update-golden
+    const goldenIndex = process.argv.findIndex(arg => arg === '--golden');
+    const goldenFile = goldenIndex !== -1 ? process.argv[goldenIndex + 1] : null;
+    const updateGolden = process.argv.includes('--update-golden');
+
+    function checkGolden(output) {
+        if (!goldenFile) return;
+        if (!output) {
+            console.error('No data was generated to compare with the golden file.');
+            process.exitCode = 1;
+        } else if (!checkGoldenFile(output.testData, goldenFile, updateGolden)) {
+            process.exitCode = 1;
+        }
+    }
+
+    // Check for --date parameter (format: YYYY-MM-DD) to process a single day
+    let targetDateArg = null;
+    const dateIndex = process.argv.findIndex(arg => arg === '--date');
+    if (dateIndex !== -1) {
+        targetDateArg = process.argv[dateIndex + 1];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(targetDateArg || '')) {
+            console.error('Error: --date must be in format YYYY-MM-DD');
+            process.exit(1);
+        }
+    }
 
     // Check for --days parameter
     let numDays = 3; // Default to 3 days
@@ -912,6 +2539,88 @@ async function main() {
         }
     }
 
+    // Check for slice parameters: a time window (--from and --to), the
+    // repository (--repository autoland) and a job name regexp (--job-filter)
+    let sliceFilters = null;
+    const sliceArgs = ['--from', '--to', '--repository', '--job-filter'].filter(arg => process.argv.includes(arg));
+    if (sliceArgs.length > 0) {
+        if (['--aggregate', '--revision', '--try', '--range'].some(arg => process.argv.includes(arg))) {
+            console.error(`Error: ${sliceArgs.join(', ')} can't be combined with --aggregate, --revision, --try or --range`);
+            process.exit(1);
+        }
+        if (process.argv.includes('--from') !== process.argv.includes('--to')) {
+            console.error('Error: --from and --to must be given together');
+            process.exit(1);
+        }
+
+        // Without a time window, the slice is the day given with --date (or yesterday)
+        const sliceDate = targetDateArg || getDateString(1);
+        let from = Date.parse(sliceDate + 'T00:00:00.000Z');
+        let to = from + 24 * 60 * 60 * 1000;
+        if (process.argv.includes('--from')) {
+            from = parseTimeArg('--from', process.argv[process.argv.indexOf('--from') + 1]);
+            to = parseTimeArg('--to', process.argv[process.argv.indexOf('--to') + 1]);
+            if (to <= from || to - from > 30 * 24 * 60 * 60 * 1000) {
+                console.error('Error: --to must be after --from, by at most 30 days');
+                process.exit(1);
+            }
+        }
+
+        let repository = null;
+        if (process.argv.includes('--repository')) {
+            repository = process.argv[process.argv.indexOf('--repository') + 1];
+            if (!repository || repository.startsWith('--')) {
+                console.error('Error: --repository requires a repository name (e.g., autoland or mozilla-central)');
+                process.exit(1);
+            }
+        }
+
+        let jobFilter = null;
+        if (process.argv.includes('--job-filter')) {
+            const pattern = process.argv[process.argv.indexOf('--job-filter') + 1];
+            if (!pattern) {
+                console.error('Error: --job-filter requires a regular expression (e.g., "linux.*debug")');
+                process.exit(1);
+            }
+            try {
+                jobFilter = new RegExp(pattern);
+            } catch (error) {
+                console.error(`Error: invalid --job-filter: ${error.message}`);
+                process.exit(1);
+            }
+        }
+
+        sliceFilters = { from, to, repository, jobFilter };
+    }
+
+    // Check for --cache <command>: manage the profile cache instead of
+    // generating data
+    const cacheIndex = process.argv.indexOf('--cache');
+    if (cacheIndex !== -1) {
+        await runCacheCommand(process.argv[cacheIndex + 1], targetDateArg, debug);
+        return;
+    }
+
+    // Check for --aggregate parameter: merge existing daily files into the
+    // multi-day issues files instead of fetching anything
+    const aggregateIndex = process.argv.findIndex(arg => arg === '--aggregate');
+    if (aggregateIndex !== -1) {
+        let aggregateDays = 21; // Default to the 21 days the dashboards show
+        if (aggregateIndex + 1 < process.argv.length && !process.argv[aggregateIndex + 1].startsWith('--')) {
+            aggregateDays = parseInt(process.argv[aggregateIndex + 1]);
+            if (isNaN(aggregateDays) || aggregateDays <= 0 || aggregateDays > 30) {
+                console.error('Error: --aggregate must be a number between 1 and 30');
+                process.exit(1);
+            }
+        }
+
+        const metadata = await aggregateHistoricalData(aggregateDays, debug);
+        if (metadata) {
+            console.log('Successfully aggregated historical data.');
+        }
+        return;
+    }
+
     // Check for --revision parameter (format: project:revision)
     const revisionIndex = process.argv.findIndex(arg => arg === '--revision');
     if (revisionIndex !== -1 && revisionIndex + 1 < process.argv.length) {
@@ -931,6 +2640,28 @@ async function main() {
         } else {
             console.log('\nNo data was successfully processed.');
         }
+        checkGolden(output);
+        return;
+    }
+
+    // Check for --range parameter (format: project:fromRevision..toRevision)
+    const rangeIndex = process.argv.findIndex(arg => arg === '--range');
+    if (rangeIndex !== -1) {
+        const match = (process.argv[rangeIndex + 1] || '').match(/^([^:]+):([0-9a-f]+)\.\.([0-9a-f]+)$/i);
+        if (!match) {
+            console.error('Error: --range must be in format project:fromRevision..toRevision (e.g., autoland:abc123..def456)');
+            process.exit(1);
+        }
+
+        const [, project, fromRevision, toRevision] = match;
+        const output = await processRangeData(project, fromRevision, toRevision, forceRefetch, debug);
+
+        if (output) {
+            console.log('Successfully processed revision range data.');
+        } else {
+            console.log('\nNo data was successfully processed.');
+        }
+        checkGolden(output);
         return;
     }
 
@@ -945,16 +2676,37 @@ async function main() {
         } else {
             console.log('\nNo data was successfully processed.');
         }
+        checkGolden(output);
         return;
     }
 
-    if (debug) {
-        // Debug mode: fetch only yesterday's data with formatted JSON
-        const targetDate = getDateString(1); // Yesterday
-        console.log(`Debug mode: Fetching xpcshell test data for ${targetDate} only`);
-        console.log(`=== Processing ${targetDate} (debug mode) ===`);
+    if (sliceFilters) {
+        console.log(`=== Processing ${HARNESS} jobs from ${new Date(sliceFilters.from).toISOString()} to ${new Date(sliceFilters.to).toISOString()} ===`);
+        const output = await processSliceData(sliceFilters, debug);
 
-        const output = await processDateData(targetDate, forceRefetch, debug);
+        if (output) {
+            console.log('Successfully processed slice data.');
+        } else {
+            console.log('\nNo data was successfully processed.');
+        }
+        checkGolden(output);
+        return;
+    }
+
+    if (goldenFile && !targetDateArg && !debug) {
+        console.error('Error: --golden needs a single output, use it with --date, --from/--to, --revision, --range or --try');
+        process.exit(1);
+    }
+
+    if (debug || targetDateArg) {
+        // Single day mode: fetch only the day given with --date, or in debug
+        // mode yesterday's data with formatted JSON
+        const targetDate = targetDateArg || getDateString(1); // Yesterday
+        const modeLabel = debug ? 'Debug mode' : 'Single day';
+        console.log(`${modeLabel}: Fetching ${HARNESS} test data for ${targetDate} only`);
+        console.log(`=== Processing ${targetDate} (${modeLabel.toLowerCase()}) ===`);
+
+        const output = await processDateData(targetDate, forceRefetch, debug, incremental);
 
         if (output) {
             // Create index file even in debug mode
@@ -962,7 +2714,7 @@ async function main() {
             const files = fs.readdirSync(CACHE_DIR);
             const availableDates = [];
             files.forEach(file => {
-                const match = file.match(/^xpcshell-(\d{4}-\d{2}-\d{2})\.json$/);
+                const match = file.match(DAILY_FILE_PATTERN);
                 if (match) {
                     availableDates.push(match[1]);
                 }
@@ -973,6 +2725,7 @@ async function main() {
         } else {
             console.log('\nNo data was successfully processed.');
         }
+        checkGolden(output);
     } else {
         // Normal mode: fetch data for the specified number of days
         const dates = [];
@@ -980,21 +2733,21 @@ async function main() {
             dates.push(getDateString(i));
         }
 
-        console.log(`Fetching xpcshell test data for the last ${numDays} day${numDays > 1 ? 's' : ''}: ${dates.join(', ')}`);
+        console.log(`Fetching ${HARNESS} test data for the last ${numDays} day${numDays > 1 ? 's' : ''}: ${dates.join(', ')}`);
 
         for (const date of dates) {
             console.log(`\n=== Processing ${date} ===`);
-            await processDateData(date, forceRefetch, debug);
+            await processDateData(date, forceRefetch, debug, incremental);
         }
 
         // Create index file with available dates
         const indexFile = path.join(CACHE_DIR, 'index.json');
         const availableDates = [];
 
-        // Scan for all xpcshell-*.json files in the cache directory
+        // Scan for all daily <harness>-<date>.json files in the cache directory
         const files = fs.readdirSync(CACHE_DIR);
         files.forEach(file => {
-            const match = file.match(/^xpcshell-(\d{4}-\d{2}-\d{2})\.json$/);
+            const match = file.match(DAILY_FILE_PATTERN);
             if (match) {
                 availableDates.push(match[1]);
             }
@@ -1008,5 +2761,24 @@ async function main() {
     }
 }
 
-// Run the script
-main().catch(console.error);
+// Run the script (the data table helpers are also required by the tests)
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = {
+    createComponentLookup,
+    createDataTables,
+    sortStringTablesByFrequency,
+    compressTestRunTimestamps,
+    createResourceUsageData,
+    createHistoricalDataBuilder,
+    encodeBinaryData,
+    decodeDailyData,
+    filterJobs,
+    createErrorsData,
+    createErrorsDataBuilder,
+    forEachErrorOccurrence,
+    saveJsonFile,
+    processJobsWithWorkers
+};
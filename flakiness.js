@@ -0,0 +1,240 @@
+/**
+ * Flakiness scoring and trend detection for the tests of multi-day data files
+ * (xpcshell-issues.json and the per-test chunk files), and search of the
+ * pushes a regression started between in daily files.
+ * Shared between issues.html and test.html.
+ *
+ * Relies on getCountAtIndex from common-test-data.js.
+ */
+
+// z value of the 95% confidence interval used for flake scores
+const FLAKE_SCORE_Z = 1.96;
+
+// A change point is reported when splitting the series there explains the
+// failures better than a single rate, by a likelihood ratio statistic above
+// this value (a chi-squared p-value below 0.001, conservative as every day is
+// tried as a split), and when the failure rate changes by at least
+// MIN_RATE_CHANGE with both sides having MIN_SEGMENT_RUNS runs.
+const CHANGE_POINT_THRESHOLD = 10.83;
+const MIN_RATE_CHANGE = 0.02;
+const MIN_SEGMENT_RUNS = 10;
+
+// Pages get getCountAtIndex from common-test-data.js (or their own copy of it)
+if (typeof module !== 'undefined' && module.exports) {
+    var { getCountAtIndex } = require('./common-test-data.js');
+}
+
+/**
+ * Whether runs with a status are failures (failures, timeouts and crashes)
+ * for the flake rate. Returns null for statuses that aren't counted as runs
+ * (SKIP and UNKNOWN), like computeTestStats does.
+ */
+function isFlakeFailureStatus(status) {
+    if (!status || status === 'SKIP' || status === 'UNKNOWN') {
+        return null;
+    }
+    if (status === 'CRASH' || status.startsWith('TIMEOUT')) {
+        return true;
+    }
+    return !status.startsWith('PASS') && !['EXPECTED-FAIL', 'OK'].includes(status);
+}
+
+/**
+ * Count the runs and failures of a test on each day of a multi-day data file.
+ * @returns {Array|null} [{ day, date, runs, failures }] for each day, or null
+ *   for daily files, which have no days
+ */
+function getTestDailyRuns(data, testId) {
+    const testGroup = data.testRuns[testId];
+    const days = data.metadata?.days;
+    if (!days) return null;
+
+    const dailyRuns = [];
+    for (let day = 0; day < days; day++) {
+        dailyRuns.push({
+            day,
+            date: new Date((data.metadata.startTime + day * 86400) * 1000).toISOString().split('T')[0],
+            runs: 0,
+            failures: 0
+        });
+    }
+    if (!testGroup) return dailyRuns;
+
+    for (let statusId = 0; statusId < testGroup.length; statusId++) {
+        const statusGroup = testGroup[statusId];
+        if (!statusGroup || !statusGroup.days) continue;
+
+        const isFailure = isFlakeFailureStatus(data.tables.statuses[statusId]);
+        if (isFailure === null) continue;
+
+        let day = 0;
+        for (let i = 0; i < statusGroup.days.length; i++) {
+            day += statusGroup.days[i];
+            if (day >= days) continue;
+
+            const count = getCountAtIndex(statusGroup, i);
+            dailyRuns[day].runs += count;
+            if (isFailure) {
+                dailyRuns[day].failures += count;
+            }
+        }
+    }
+    return dailyRuns;
+}
+
+/**
+ * Confidence-weighted flake rate: the lower bound of the Wilson score interval
+ * of the failure rate. A test failing 1 of its 10 runs scores lower than one
+ * failing 100 of its 1000 runs, as there is little evidence it is flaky.
+ * @returns {number} between 0 and 1
+ */
+function computeFlakeScore(runs, failures) {
+    if (runs === 0) return 0;
+
+    const rate = failures / runs;
+    const z2 = FLAKE_SCORE_Z * FLAKE_SCORE_Z;
+    const center = rate + z2 / (2 * runs);
+    const margin = FLAKE_SCORE_Z * Math.sqrt(rate * (1 - rate) / runs + z2 / (4 * runs * runs));
+    return Math.max(0, (center - margin) / (1 + z2 / runs));
+}
+
+// Log-likelihood of failures out of runs under their own failure rate
+function binomialLogLikelihood(runs, failures) {
+    const passes = runs - failures;
+    return (failures > 0 ? failures * Math.log(failures / runs) : 0) +
+        (passes > 0 ? passes * Math.log(passes / runs) : 0);
+}
+
+/**
+ * Find the day the failure rate of a test changed, splitting the daily series
+ * in two segments with different failure rates where that fits best.
+ * @param {Array} dailyRuns - as returned by getTestDailyRuns
+ * @returns {{ day, date, rateBefore, rateAfter, direction }|null} the first day
+ *   of the new rate, direction being 'worse' or 'better'; null without a
+ *   significant change
+ */
+function detectChangePoint(dailyRuns) {
+    let totalRuns = 0, totalFailures = 0;
+    for (const { runs, failures } of dailyRuns) {
+        totalRuns += runs;
+        totalFailures += failures;
+    }
+    const baseLikelihood = binomialLogLikelihood(totalRuns, totalFailures);
+
+    let best = null;
+    let runsBefore = 0, failuresBefore = 0;
+    for (const { day, date, runs, failures } of dailyRuns) {
+        // Splits only happen at days with runs, so the new rate starts on one
+        if (runs > 0 && runsBefore >= MIN_SEGMENT_RUNS && totalRuns - runsBefore >= MIN_SEGMENT_RUNS) {
+            const runsAfter = totalRuns - runsBefore;
+            const failuresAfter = totalFailures - failuresBefore;
+            const statistic = 2 * (binomialLogLikelihood(runsBefore, failuresBefore) +
+                binomialLogLikelihood(runsAfter, failuresAfter) - baseLikelihood);
+            const rateBefore = failuresBefore / runsBefore;
+            const rateAfter = failuresAfter / runsAfter;
+
+            if (statistic > CHANGE_POINT_THRESHOLD && Math.abs(rateAfter - rateBefore) >= MIN_RATE_CHANGE &&
+                (!best || statistic > best.statistic)) {
+                best = { day, date, rateBefore, rateAfter, statistic };
+            }
+        }
+        runsBefore += runs;
+        failuresBefore += failures;
+    }
+
+    if (!best) return null;
+    return {
+        day: best.day,
+        date: best.date,
+        rateBefore: best.rateBefore,
+        rateAfter: best.rateAfter,
+        direction: best.rateAfter > best.rateBefore ? 'worse' : 'better'
+    };
+}
+
+/**
+ * Flakiness of a test over a multi-day data file.
+ * @returns {{ runs, failures, failureRate, flakeScore, changePoint }|null}
+ *   null for daily files
+ */
+function computeTestFlakiness(data, testId) {
+    const dailyRuns = getTestDailyRuns(data, testId);
+    if (!dailyRuns) return null;
+
+    let runs = 0, failures = 0;
+    for (const day of dailyRuns) {
+        runs += day.runs;
+        failures += day.failures;
+    }
+
+    return {
+        runs,
+        failures,
+        failureRate: runs > 0 ? failures / runs : 0,
+        flakeScore: computeFlakeScore(runs, failures),
+        changePoint: detectChangePoint(dailyRuns)
+    };
+}
+
+// Whether push a landed before push b
+function isEarlierPush(a, b) {
+    return a.pushTimestamp < b.pushTimestamp || (a.pushTimestamp === b.pushTimestamp && a.pushId < b.pushId);
+}
+
+/**
+ * Find the pushes a regression happened between: the first push with a
+ * failing run at or after sinceTime (the onset of the failures), and the last
+ * push of the same repository before it where the test ran and passed every
+ * time. Failures before sinceTime are taken as the earlier intermittent ones.
+ * @param {Array} runs - as returned by getTestPushRuns, for any number of
+ *   daily files and all the configurations the test runs on
+ * @param {number} sinceTime - onset of the failures, in seconds
+ * @returns {{ repository, lastPass, firstFail }|null} pushes as { repository,
+ *   pushId, revision, pushTimestamp, runs, failures }, lastPass being null
+ *   when no push passed before the first failure; null when nothing failed
+ */
+function findRegressionRange(runs, sinceTime) {
+    const pushes = new Map();
+    let firstFail = null;
+
+    for (const run of runs) {
+        const isFailure = isFlakeFailureStatus(run.status);
+        if (isFailure === null) continue;
+
+        const key = `${run.repository}:${run.pushId}`;
+        let push = pushes.get(key);
+        if (!push) {
+            push = { repository: run.repository, pushId: run.pushId, revision: run.revision, pushTimestamp: run.pushTimestamp, runs: 0, failures: 0 };
+            pushes.set(key, push);
+        }
+        push.runs++;
+        if (isFailure) {
+            push.failures++;
+            if (run.time >= sinceTime && (!firstFail || isEarlierPush(push, firstFail))) {
+                firstFail = push;
+            }
+        }
+    }
+    if (!firstFail) return null;
+
+    let lastPass = null;
+    for (const push of pushes.values()) {
+        if (push.repository === firstFail.repository && push.failures === 0 && isEarlierPush(push, firstFail) &&
+            (!lastPass || isEarlierPush(lastPass, push))) {
+            lastPass = push;
+        }
+    }
+    return { repository: firstFail.repository, lastPass, firstFail };
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        isFlakeFailureStatus,
+        getTestDailyRuns,
+        computeFlakeScore,
+        detectChangePoint,
+        computeTestFlakiness,
+        findRegressionRange
+    };
+}
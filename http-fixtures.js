@@ -0,0 +1,153 @@
+// Record/replay layer for the HTTP requests made by fetch-xpcshell-data.js and
+// its profile workers (Treeherder, Redash and Taskcluster).
+//
+// With --record <dir>, every response is saved into the fixtures directory as
+// it is fetched. With --replay <dir>, responses are served back from there and
+// nothing touches the network, so a run can be reproduced offline and its
+// output checked against a golden file (--golden <file>).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Statuses for which a Response can't have a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// Parse --record <dir> / --replay <dir> from the command line.
+// Returns { mode, dir } or null when neither is given.
+function parseFixtureArgs(argv) {
+    for (const mode of ['record', 'replay']) {
+        const index = argv.indexOf(`--${mode}`);
+        if (index === -1) continue;
+
+        const dir = argv[index + 1];
+        if (!dir || dir.startsWith('--')) {
+            throw new Error(`--${mode} requires a fixtures directory`);
+        }
+        if (mode === 'replay' && !fs.existsSync(dir)) {
+            throw new Error(`Fixtures directory ${dir} does not exist`);
+        }
+        return { mode, dir };
+    }
+    return null;
+}
+
+// Fixture files are named after a hash of the URL, as URLs are too long and
+// contain characters that aren't safe in file names
+function getFixturePath(fixturesDir, url) {
+    const hash = crypto.createHash('sha256').update(url).digest('hex').substring(0, 16);
+    return path.join(fixturesDir, `${hash}.json.gz`);
+}
+
+function createResponse(fixture) {
+    const body = NULL_BODY_STATUSES.includes(fixture.status) ? null : fixture.body;
+    return new Response(body, {
+        status: fixture.status,
+        statusText: fixture.statusText,
+        headers: fixture.headers
+    });
+}
+
+// Replace the global fetch with one recording responses to, or replaying them
+// from, the fixtures directory. Does nothing when fixtures is null.
+function installFixtureFetch(fixtures) {
+    if (!fixtures) return;
+
+    const { mode, dir } = fixtures;
+    const networkFetch = globalThis.fetch;
+
+    if (mode === 'record' && !fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    globalThis.fetch = async function(resource, init) {
+        const url = typeof resource === 'string' ? resource : resource.url;
+        const fixturePath = getFixturePath(dir, url);
+
+        if (mode === 'replay') {
+            if (!fs.existsSync(fixturePath)) {
+                throw new Error(`No recorded response for ${url}`);
+            }
+            const fixture = JSON.parse(zlib.gunzipSync(fs.readFileSync(fixturePath)).toString('utf-8'));
+            return createResponse(fixture);
+        }
+
+        const response = await networkFetch(resource, init);
+        const fixture = {
+            url,
+            status: response.status,
+            statusText: response.statusText,
+            headers: { 'content-type': response.headers.get('content-type') || 'application/json' },
+            body: await response.text()
+        };
+        fs.writeFileSync(fixturePath, zlib.gzipSync(JSON.stringify(fixture)));
+        return createResponse(fixture);
+    };
+}
+
+// Find the first difference between two JSON values.
+// Returns a description like "metadata.jobCount: 3 !== 4", or null if equal.
+function findFirstDifference(actual, expected, keyPath = '') {
+    if (actual === expected) {
+        return null;
+    }
+
+    const label = keyPath || '(root)';
+    if (typeof actual !== 'object' || typeof expected !== 'object' || actual === null || expected === null ||
+        Array.isArray(actual) !== Array.isArray(expected)) {
+        return `${label}: ${JSON.stringify(actual)} !== ${JSON.stringify(expected)}`;
+    }
+
+    if (Array.isArray(actual) && actual.length !== expected.length) {
+        return `${label}: length ${actual.length} !== ${expected.length}`;
+    }
+
+    const keys = new Set([...Object.keys(actual), ...Object.keys(expected)]);
+    for (const key of keys) {
+        const childPath = Array.isArray(actual) ? `${keyPath}[${key}]` : (keyPath ? `${keyPath}.${key}` : key);
+        const difference = findFirstDifference(actual[key], expected[key], childPath);
+        if (difference) {
+            return difference;
+        }
+    }
+    return null;
+}
+
+// Compare generated data with a golden file, ignoring when it was generated.
+// With update set, (re)write the golden file instead.
+// Returns true when the data matches.
+function checkGoldenFile(data, goldenFile, update = false) {
+    const normalized = JSON.parse(JSON.stringify(data));
+    if (normalized.metadata) {
+        delete normalized.metadata.generatedAt;
+    }
+
+    if (update) {
+        fs.writeFileSync(goldenFile, JSON.stringify(normalized, null, 2) + '\n');
+        console.log(`Golden file ${goldenFile} updated`);
+        return true;
+    }
+
+    if (!fs.existsSync(goldenFile)) {
+        console.error(`Golden file ${goldenFile} does not exist, use --update-golden to create it`);
+        return false;
+    }
+
+    const golden = JSON.parse(fs.readFileSync(goldenFile, 'utf-8'));
+    const difference = findFirstDifference(normalized, golden);
+    if (difference) {
+        console.error(`Output differs from golden file ${goldenFile} at ${difference}`);
+        return false;
+    }
+
+    console.log(`Output matches golden file ${goldenFile}`);
+    return true;
+}
+
+module.exports = {
+    parseFixtureArgs,
+    installFixtureFetch,
+    findFirstDifference,
+    checkGoldenFile
+};
@@ -0,0 +1,278 @@
+// Job sources: where fetch-xpcshell-data.js finds the test jobs to process.
+//
+// A job source is an object with any of these methods:
+//   fetchDateJobs(date)            jobs started on a UTC day (YYYY-MM-DD)
+//   fetchDatesJobs(dates)          jobs started on several UTC days, fetched at
+//                                  once, as a Map from each day to its jobs
+//                                  (leaving out the days it has no jobs for)
+//   fetchPush(project, revision)   the push of a revision
+//   fetchPushRange(project, fromRevision, toRevision)
+//                                  the pushes from one revision to the other
+//                                  (both included), oldest first
+//   fetchPushJobs(project, push)   the jobs of a push
+// Pushes are { id, revision, push_timestamp } and jobs are { name, task_id,
+// retry_id, start_time, repository, revision, push_id, push_timestamp }, the
+// columns of the Redash query. Jobs of all harnesses are returned.
+//
+// Sources are selected with --job-source (see parseJobSourceArg):
+//   redash[:<query results url>]    Redash query (dates only)
+//   treeherder[:<base url>]         Treeherder API, or a self-hosted mirror (pushes only)
+//   file:<path>                     local JSON array or NDJSON list of jobs
+// and fall back to Redash for dates and Treeherder for pushes.
+
+const fs = require('fs');
+
+const DEFAULT_REDASH_URL = 'https://sql.telemetry.mozilla.org/api/queries/110630/results.json?api_key=Pyybfsna2r5KQkwYgSk9zqbYfc6Dv0rhxL99DFi1';
+const DEFAULT_TREEHERDER_URL = 'https://treeherder.mozilla.org';
+
+// Most pushes a range can cover, as Treeherder returns at most this many
+// pushes per request
+const MAX_RANGE_PUSHES = 1000;
+
+const JOB_SOURCE_METHODS = ['fetchDateJobs', 'fetchDatesJobs', 'fetchPush', 'fetchPushRange', 'fetchPushJobs'];
+
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+// UTC day (YYYY-MM-DD) a job started on
+function getJobDate(job) {
+    return job.start_time.split('T')[0];
+}
+
+// Milliseconds since the epoch of a job time (start_time, or a push_timestamp
+// given as a string). Redash and Treeherder give UTC times without an offset,
+// which new Date() would read as local time.
+function parseJobTime(time) {
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(time) || /^\d{4}-\d{2}-\d{2}$/.test(time);
+    return Date.parse(hasOffset ? time : `${time}Z`);
+}
+
+// Group the jobs started on the given days by day
+function groupJobsByDate(jobs, dates) {
+    const jobsByDate = new Map();
+    for (const job of jobs) {
+        const date = getJobDate(job);
+        if (!dates.includes(date)) {
+            continue;
+        }
+        if (!jobsByDate.has(date)) {
+            jobsByDate.set(date, []);
+        }
+        jobsByDate.get(date).push(job);
+    }
+    return jobsByDate;
+}
+
+// Redash query results, listing the jobs of the last few days
+function createRedashJobSource(queryUrl = DEFAULT_REDASH_URL) {
+    return {
+        name: 'redash',
+
+        async fetchDateJobs(date) {
+            const result = await fetchJson(queryUrl);
+            return result.query_result.data.rows.filter(job => getJobDate(job) === date);
+        },
+
+        // The query returns the same jobs for any day, so it is only run once
+        async fetchDatesJobs(dates) {
+            const result = await fetchJson(queryUrl);
+            return groupJobsByDate(result.query_result.data.rows, dates);
+        }
+    };
+}
+
+// Treeherder API (or a mirror of it), following the pagination of job lists
+function createTreeherderJobSource(baseUrl = DEFAULT_TREEHERDER_URL) {
+    baseUrl = baseUrl.replace(/\/+$/, '');
+
+    return {
+        name: 'treeherder',
+
+        async fetchPush(project, revision) {
+            const result = await fetchJson(`${baseUrl}/api/project/${project}/push/?full=true&count=10&revision=${revision}`);
+            if (!result.results || result.results.length === 0) {
+                throw new Error(`No push found for revision ${revision} on project ${project}`);
+            }
+
+            const { id, revision: pushRevision, push_timestamp } = result.results[0];
+            return { id, revision: pushRevision, push_timestamp };
+        },
+
+        async fetchPushRange(project, fromRevision, toRevision) {
+            const result = await fetchJson(`${baseUrl}/api/project/${project}/push/?fromchange=${fromRevision}&tochange=${toRevision}&count=${MAX_RANGE_PUSHES}`);
+            if (!result.results || result.results.length === 0) {
+                throw new Error(`No pushes found from ${fromRevision} to ${toRevision} on project ${project}`);
+            }
+            if (result.results.length >= MAX_RANGE_PUSHES) {
+                throw new Error(`More than ${MAX_RANGE_PUSHES} pushes from ${fromRevision} to ${toRevision}, use a smaller range`);
+            }
+
+            return result.results
+                .map(({ id, revision, push_timestamp }) => ({ id, revision, push_timestamp }))
+                .sort((a, b) => a.push_timestamp - b.push_timestamp || a.id - b.id);
+        },
+
+        async fetchPushJobs(project, push) {
+            let allJobs = [];
+            let propertyNames = [];
+            let url = `${baseUrl}/api/jobs/?push_id=${push.id}`;
+
+            while (url) {
+                const result = await fetchJson(url);
+                allJobs = allJobs.concat(result.results || []);
+                if (!propertyNames.length) {
+                    propertyNames = result.job_property_names || [];
+                }
+                url = result.next;
+            }
+
+            // Get field indices dynamically
+            const jobTypeNameIndex = propertyNames.indexOf('job_type_name');
+            const taskIdIndex = propertyNames.indexOf('task_id');
+            const retryIdIndex = propertyNames.indexOf('retry_id');
+            const lastModifiedIndex = propertyNames.indexOf('last_modified');
+
+            return allJobs.map(job => ({
+                name: job[jobTypeNameIndex],
+                task_id: job[taskIdIndex],
+                retry_id: job[retryIdIndex] || 0,
+                start_time: job[lastModifiedIndex],
+                repository: project,
+                revision: push.revision,
+                push_id: push.id,
+                push_timestamp: push.push_timestamp
+            }));
+        }
+    };
+}
+
+// Read a list of jobs: a JSON array, or NDJSON with one job per line, with
+// start times as ISO 8601 strings. Throws if a job has no name, task_id or start_time.
+function readJobsFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf-8');
+    const jobs = text.trimStart().startsWith('[')
+        ? JSON.parse(text)
+        : text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+    jobs.forEach((job, index) => {
+        for (const field of ['name', 'task_id', 'start_time']) {
+            if (!job[field]) {
+                throw new Error(`Job ${index} in ${filePath} has no ${field}`);
+            }
+        }
+    });
+    return jobs;
+}
+
+// Local list of jobs (see readJobsFile), e.g. exported from another CI.
+// Pushes are found from the revision, push_id and push_timestamp of the jobs.
+function createFileJobSource(filePath) {
+    let jobs = null;
+    function getJobs() {
+        if (!jobs) {
+            jobs = readJobsFile(filePath);
+        }
+        return jobs;
+    }
+
+    function getPushes(project) {
+        const pushes = new Map();
+        for (const job of getJobs()) {
+            if (job.repository === project && job.push_id !== undefined && !pushes.has(job.push_id)) {
+                pushes.set(job.push_id, { id: job.push_id, revision: job.revision, push_timestamp: job.push_timestamp });
+            }
+        }
+        return [...pushes.values()].sort((a, b) => a.push_timestamp - b.push_timestamp || a.id - b.id);
+    }
+
+    function findPush(project, revision) {
+        const push = getPushes(project).find(candidate => candidate.revision?.startsWith(revision));
+        if (!push) {
+            throw new Error(`No push found for revision ${revision} on project ${project} in ${filePath}`);
+        }
+        return push;
+    }
+
+    return {
+        name: `file:${filePath}`,
+
+        async fetchDateJobs(date) {
+            return getJobs().filter(job => getJobDate(job) === date);
+        },
+
+        async fetchDatesJobs(dates) {
+            return groupJobsByDate(getJobs(), dates);
+        },
+
+        async fetchPush(project, revision) {
+            return findPush(project, revision);
+        },
+
+        async fetchPushRange(project, fromRevision, toRevision) {
+            const from = findPush(project, fromRevision);
+            const to = findPush(project, toRevision);
+            return getPushes(project).filter(push =>
+                push.push_timestamp >= from.push_timestamp && push.push_timestamp <= to.push_timestamp
+            );
+        },
+
+        async fetchPushJobs(project, push) {
+            return getJobs().filter(job => job.repository === project && job.push_id === push.id);
+        }
+    };
+}
+
+// Combine job sources: each method comes from the first source having it.
+// Methods none of the sources have throw when called.
+function combineJobSources(...sources) {
+    const combined = { name: sources.map(source => source.name).join(', ') };
+    for (const method of JOB_SOURCE_METHODS) {
+        const source = sources.find(candidate => candidate[method]);
+        combined[method] = source
+            ? source[method].bind(source)
+            : async () => { throw new Error(`None of the job sources (${combined.name}) has ${method}`); };
+    }
+    return combined;
+}
+
+// Create the job source for a --job-source value, falling back to Redash for
+// dates and Treeherder for pushes. Throws on unknown sources.
+function parseJobSourceArg(value) {
+    const defaults = [createRedashJobSource(), createTreeherderJobSource()];
+    if (!value) {
+        return combineJobSources(...defaults);
+    }
+
+    const separatorIndex = value.indexOf(':');
+    const type = separatorIndex === -1 ? value : value.substring(0, separatorIndex);
+    const location = separatorIndex === -1 ? null : value.substring(separatorIndex + 1);
+
+    let source;
+    if (type === 'redash') {
+        source = createRedashJobSource(location || undefined);
+    } else if (type === 'treeherder') {
+        source = createTreeherderJobSource(location || undefined);
+    } else if (type === 'file' && location) {
+        if (!fs.existsSync(location)) {
+            throw new Error(`Job list ${location} does not exist`);
+        }
+        source = createFileJobSource(location);
+    } else {
+        throw new Error(`Unknown job source ${value}, expected redash[:<url>], treeherder[:<url>] or file:<path>`);
+    }
+    return combineJobSources(source, ...defaults);
+}
+
+module.exports = {
+    createRedashJobSource,
+    createTreeherderJobSource,
+    createFileJobSource,
+    combineJobSources,
+    parseJobSourceArg,
+    parseJobTime
+};
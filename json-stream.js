@@ -0,0 +1,293 @@
+// Streaming JSON parser keeping only selected parts of a document.
+//
+// Resource profiles are large (mostly samples, stack tables and threads the
+// generator doesn't look at), and parsing them whole with JSON.parse makes the
+// profile workers hold several copies of them in memory. This parser reads
+// the document chunk by chunk and only builds the values of the selected
+// paths; everything else is scanned over without being decoded.
+//
+// A selection is an object whose keys are the property names (or array
+// indexes) to keep: `true` keeps the whole value, a nested selection keeps the
+// container with only the selected children. For example
+//   { meta: true, threads: { 0: { stringArray: true } } }
+// gives { meta: {...}, threads: [{ stringArray: [...] }] }.
+
+// States of the parser between tokens
+const VALUE = 0;            // expecting a value
+const VALUE_OR_CLOSE = 1;   // after '[': expecting a value or ']'
+const KEY_OR_CLOSE = 2;     // after '{': expecting a key or '}'
+const KEY = 3;              // after ',' in an object: expecting a key
+const COLON = 4;            // after a key
+const AFTER_VALUE = 5;      // expecting ',' or the end of the container
+
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const COMMA = 0x2c;
+const COLON_CHAR = 0x3a;
+const OPEN_BRACE = 0x7b;
+const CLOSE_BRACE = 0x7d;
+const OPEN_BRACKET = 0x5b;
+const CLOSE_BRACKET = 0x5d;
+
+function isWhitespace(c) {
+    return c === 0x20 || c === 0x0a || c === 0x0d || c === 0x09;
+}
+
+function isDelimiter(c) {
+    return c === COMMA || c === CLOSE_BRACE || c === CLOSE_BRACKET || isWhitespace(c);
+}
+
+// Index of the quote ending the string starting at text[start], or -1 when
+// the string doesn't end within text
+function findStringEnd(text, start) {
+    let index = start + 1;
+    while (true) {
+        const end = text.indexOf('"', index);
+        if (end === -1) {
+            return -1;
+        }
+        let backslashes = 0;
+        while (text.charCodeAt(end - 1 - backslashes) === BACKSLASH) {
+            backslashes++;
+        }
+        if (backslashes % 2 === 0) {
+            return end;
+        }
+        index = end + 1;
+    }
+}
+
+function parsePrimitive(token) {
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (token === 'null') return null;
+    const value = Number(token);
+    if (token === '' || isNaN(value)) {
+        throw new SyntaxError(`Unexpected token ${JSON.stringify(token.substring(0, 20))} in JSON`);
+    }
+    return value;
+}
+
+// Create a parser fed with write(text) for each chunk of the document, in
+// order. end() returns the selected parts of the document, and throws if the
+// document is incomplete.
+function createJsonStreamParser(selection) {
+    // Open containers that are kept: { container, selection, isArray, key, index }
+    const stack = [];
+    let state = VALUE;
+    // Nesting depth inside a skipped container, which is scanned over
+    let skipDepth = 0;
+    // Start of a token split across chunks, parsed with the next chunk
+    let pending = '';
+    let result;
+    let done = false;
+
+    // Selection of the value starting at the current position: true, a
+    // nested selection, or null when the value is skipped
+    function getValueSelection() {
+        if (stack.length === 0) {
+            return selection;
+        }
+        const frame = stack[stack.length - 1];
+        if (frame.selection === true) {
+            return true;
+        }
+        return frame.selection[frame.isArray ? frame.index : frame.key] ?? null;
+    }
+
+    function setValue(value) {
+        if (stack.length === 0) {
+            result = value;
+            return;
+        }
+        const frame = stack[stack.length - 1];
+        frame.container[frame.isArray ? frame.index : frame.key] = value;
+    }
+
+    function closeContainer() {
+        stack.pop();
+        state = AFTER_VALUE;
+        if (stack.length === 0) {
+            done = true;
+        }
+    }
+
+    function write(chunk) {
+        const text = pending ? pending + chunk : chunk;
+        pending = '';
+
+        let i = 0;
+        while (i < text.length) {
+            const c = text.charCodeAt(i);
+
+            if (skipDepth > 0) {
+                if (c === QUOTE) {
+                    const end = findStringEnd(text, i);
+                    if (end === -1) {
+                        pending = text.substring(i);
+                        return;
+                    }
+                    i = end + 1;
+                    continue;
+                }
+                if (c === OPEN_BRACE || c === OPEN_BRACKET) {
+                    skipDepth++;
+                } else if ((c === CLOSE_BRACE || c === CLOSE_BRACKET) && --skipDepth === 0) {
+                    state = AFTER_VALUE;
+                    if (stack.length === 0) {
+                        done = true;
+                    }
+                }
+                i++;
+                continue;
+            }
+
+            if (isWhitespace(c)) {
+                i++;
+                continue;
+            }
+            if (done) {
+                throw new SyntaxError(`Unexpected data after the end of the JSON document`);
+            }
+
+            switch (state) {
+                case VALUE_OR_CLOSE:
+                    if (c === CLOSE_BRACKET) {
+                        closeContainer();
+                        i++;
+                        continue;
+                    }
+                    state = VALUE;
+                    // falls through
+                case VALUE: {
+                    const valueSelection = getValueSelection();
+                    if (c === OPEN_BRACE || c === OPEN_BRACKET) {
+                        if (valueSelection === null) {
+                            skipDepth = 1;
+                        } else {
+                            const isArray = c === OPEN_BRACKET;
+                            const container = isArray ? [] : {};
+                            setValue(container);
+                            stack.push({ container, selection: valueSelection, isArray, key: null, index: 0 });
+                            state = isArray ? VALUE_OR_CLOSE : KEY_OR_CLOSE;
+                        }
+                        i++;
+                    } else if (c === QUOTE) {
+                        const end = findStringEnd(text, i);
+                        if (end === -1) {
+                            pending = text.substring(i);
+                            return;
+                        }
+                        if (valueSelection !== null) {
+                            setValue(JSON.parse(text.substring(i, end + 1)));
+                        }
+                        state = AFTER_VALUE;
+                        if (stack.length === 0) {
+                            done = true;
+                        }
+                        i = end + 1;
+                    } else {
+                        // Number or literal, ending at a delimiter
+                        let end = i + 1;
+                        while (end < text.length && !isDelimiter(text.charCodeAt(end))) {
+                            end++;
+                        }
+                        if (end === text.length) {
+                            pending = text.substring(i);
+                            return;
+                        }
+                        const value = parsePrimitive(text.substring(i, end));
+                        if (valueSelection !== null) {
+                            setValue(value);
+                        }
+                        state = AFTER_VALUE;
+                        i = end;
+                    }
+                    continue;
+                }
+                case KEY_OR_CLOSE:
+                    if (c === CLOSE_BRACE) {
+                        closeContainer();
+                        i++;
+                        continue;
+                    }
+                    state = KEY;
+                    // falls through
+                case KEY: {
+                    if (c !== QUOTE) {
+                        break;
+                    }
+                    const end = findStringEnd(text, i);
+                    if (end === -1) {
+                        pending = text.substring(i);
+                        return;
+                    }
+                    stack[stack.length - 1].key = JSON.parse(text.substring(i, end + 1));
+                    state = COLON;
+                    i = end + 1;
+                    continue;
+                }
+                case COLON:
+                    if (c !== COLON_CHAR) {
+                        break;
+                    }
+                    state = VALUE;
+                    i++;
+                    continue;
+                case AFTER_VALUE: {
+                    const frame = stack[stack.length - 1];
+                    if (c === COMMA) {
+                        if (frame.isArray) {
+                            frame.index++;
+                            state = VALUE;
+                        } else {
+                            state = KEY;
+                        }
+                        i++;
+                        continue;
+                    }
+                    if (c === (frame.isArray ? CLOSE_BRACKET : CLOSE_BRACE)) {
+                        closeContainer();
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+            }
+            throw new SyntaxError(`Unexpected character ${JSON.stringify(text[i])} in JSON`);
+        }
+    }
+
+    function end() {
+        if (pending && !done && stack.length === 0 && state === VALUE) {
+            // A number or literal as the whole document
+            result = parsePrimitive(pending.trim());
+            pending = '';
+            done = true;
+        }
+        if (!done || pending.trim()) {
+            throw new SyntaxError('Unexpected end of JSON input');
+        }
+        return result;
+    }
+
+    return { write, end };
+}
+
+// Parse the selected parts of a JSON document from an async iterable of
+// chunks (strings, or UTF-8 bytes as from a fetch response body or a file
+// stream)
+async function parseJsonStream(chunks, selection) {
+    const parser = createJsonStreamParser(selection);
+    const decoder = new TextDecoder();
+    for await (const chunk of chunks) {
+        parser.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+    }
+    parser.write(decoder.decode());
+    return parser.end();
+}
+
+module.exports = {
+    createJsonStreamParser,
+    parseJsonStream
+};
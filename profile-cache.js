@@ -0,0 +1,107 @@
+// Profile cache: the resource profiles the workers download are kept as
+// <taskId>-<retryId>.json.gz files (see fetchResourceProfile in
+// profile-worker.js), which fetch-xpcshell-data.js --cache lists, prunes and
+// verifies.
+//
+// Reading a cached profile updates its modification time, so pruning by age
+// or size removes the profiles that weren't used for the longest time.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseJsonStream } = require('./json-stream.js');
+
+const CACHE_FILE_PATTERN = /^(.+)-(\d+)\.json\.gz$/;
+
+const SIZE_UNITS = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+// Path of the cached profile of a task run
+function getProfileCachePath(cacheDir, taskId, retryId) {
+    return path.join(cacheDir, `${taskId}-${retryId}.json.gz`);
+}
+
+// List the cached profiles: { file, taskId, retryId, size, mtimeMs }, least
+// recently used first
+function listCacheEntries(cacheDir) {
+    if (!fs.existsSync(cacheDir)) {
+        return [];
+    }
+
+    const entries = [];
+    for (const file of fs.readdirSync(cacheDir)) {
+        const match = file.match(CACHE_FILE_PATTERN);
+        if (!match) continue;
+
+        const { size, mtimeMs } = fs.statSync(path.join(cacheDir, file));
+        entries.push({ file, taskId: match[1], retryId: parseInt(match[2]), size, mtimeMs });
+    }
+    return entries.sort((a, b) => a.mtimeMs - b.mtimeMs || a.file.localeCompare(b.file));
+}
+
+// Entries to remove so that none is older than maxAgeMs and the rest take at
+// most maxBytes, least recently used first. Either limit can be null.
+function selectEntriesToPrune(entries, { maxAgeMs = null, maxBytes = null, now = Date.now() } = {}) {
+    const sorted = [...entries].sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let remainingBytes = sorted.reduce((sum, entry) => sum + entry.size, 0);
+
+    const pruned = [];
+    for (const entry of sorted) {
+        const tooOld = maxAgeMs !== null && now - entry.mtimeMs > maxAgeMs;
+        const overSize = maxBytes !== null && remainingBytes > maxBytes;
+        if (!tooOld && !overSize) {
+            break;
+        }
+        pruned.push(entry);
+        remainingBytes -= entry.size;
+    }
+    return pruned;
+}
+
+// Remove the entries selected by selectEntriesToPrune.
+// Returns { removed, freedBytes }
+function pruneCache(cacheDir, limits) {
+    const pruned = selectEntriesToPrune(listCacheEntries(cacheDir), limits);
+    let freedBytes = 0;
+    for (const entry of pruned) {
+        fs.rmSync(path.join(cacheDir, entry.file), { force: true });
+        freedBytes += entry.size;
+    }
+    return { removed: pruned.length, freedBytes };
+}
+
+// Check that a cached profile decompresses to a complete JSON document.
+// Returns null when it does, or the error message.
+async function verifyCacheEntry(filePath) {
+    try {
+        // An empty selection checks the whole document without keeping any of it
+        await parseJsonStream(fs.createReadStream(filePath).pipe(zlib.createGunzip()), {});
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Parse a size like 500M, 20G or 1.5T (bytes without a unit).
+// Returns null for invalid sizes.
+function parseSize(value) {
+    const match = (value || '').match(/^(\d+(?:\.\d+)?)\s*([KMGT]?)i?B?$/i);
+    if (!match) {
+        return null;
+    }
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2].toUpperCase()]);
+}
+
+function formatSize(bytes) {
+    const unit = ['T', 'G', 'M', 'K'].find(candidate => bytes >= SIZE_UNITS[candidate]);
+    return unit ? `${(bytes / SIZE_UNITS[unit]).toFixed(1)} ${unit}B` : `${bytes} B`;
+}
+
+module.exports = {
+    getProfileCachePath,
+    listCacheEntries,
+    selectEntriesToPrune,
+    pruneCache,
+    verifyCacheEntry,
+    parseSize,
+    formatSize
+};
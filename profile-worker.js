@@ -1,7 +1,29 @@
-const { parentPort, workerData } = require('worker_threads');
+const { parentPort, workerData, isMainThread } = require('worker_threads');
 const fs = require('fs');
-const path = require('path');
 const zlib = require('zlib');
+const { installFixtureFetch } = require('./http-fixtures.js');
+const { parseJsonStream } = require('./json-stream.js');
+const { getProfileCachePath } = require('./profile-cache.js');
+const { parseJobTime } = require('./job-sources.js');
+
+// Record or replay HTTP responses like the main thread does (see http-fixtures.js).
+// Outside of a worker (tests requiring this file), only the functions are used.
+if (!isMainThread) {
+    installFixtureFetch(workerData.fixtures);
+}
+
+// File extensions of the test files each harness runs. Mochitest flavors cover
+// plain/chrome tests (.html, .xhtml) as well as browser-chrome and devtools
+// tests (.js).
+const TEST_FILE_EXTENSIONS = {
+    xpcshell: ['.js'],
+    mochitest: ['.js', '.html', '.xhtml']
+};
+
+function isTestFile(testPath, harness) {
+    const extensions = TEST_FILE_EXTENSIONS[harness] || TEST_FILE_EXTENSIONS.xpcshell;
+    return extensions.some(extension => testPath.endsWith(extension));
+}
 
 // Extract parallel execution time ranges from markers
 function extractParallelRanges(markers, stringArray) {
@@ -108,8 +130,132 @@ function extractResourceUsage(profile) {
     };
 }
 
+// Collect the CPU and memory samples of a profile, sorted by time.
+// CPU use is converted from percent of the whole machine to percent of one
+// core (100 = one core busy), memory to MB.
+function extractResourceSamples(profile, markers) {
+    const logicalCPUs = profile.meta?.logicalCPUs || 8;
+    const cpuSamples = [];
+    const memorySamples = [];
+
+    for (let i = 0; i < markers.length; i++) {
+        const data = markers.data[i];
+        if (data?.type === 'CPU') {
+            const cpuPercent = parseFloat(data.cpuPercent);
+            if (!isNaN(cpuPercent)) {
+                cpuSamples.push({ start: markers.startTime[i], end: markers.endTime[i], value: cpuPercent * logicalCPUs });
+            }
+        } else if (data?.type === 'Mem' && typeof data.used === 'number') {
+            memorySamples.push({ start: markers.startTime[i], end: markers.endTime[i], value: data.used / (1024 * 1024) });
+        }
+    }
+
+    cpuSamples.sort((a, b) => a.start - b.start);
+    memorySamples.sort((a, b) => a.start - b.start);
+    return { cpuSamples, memorySamples };
+}
+
+// Call callback(sample, overlap) for each sample overlapping [start, end].
+// Samples are consecutive measurement periods, so they don't overlap each other.
+function forEachOverlappingSample(samples, start, end, callback) {
+    let low = 0;
+    let high = samples.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (samples[middle].end <= start) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    for (let i = low; i < samples.length && samples[i].start < end; i++) {
+        callback(samples[i], Math.min(end, samples[i].end) - Math.max(start, samples[i].start));
+    }
+}
+
+// Average CPU use (percent of one core) and peak memory (MB) of the machine
+// while a test was running, or nulls when there are no samples for that time.
+// These are machine-wide: tests running in parallel share the same samples.
+function getTestResourceUsage(resourceSamples, start, end) {
+    let cpuTime = 0;
+    let weightedCpu = 0;
+    forEachOverlappingSample(resourceSamples.cpuSamples, start, end, (sample, overlap) => {
+        cpuTime += overlap;
+        weightedCpu += sample.value * overlap;
+    });
+
+    let peakMemory = null;
+    forEachOverlappingSample(resourceSamples.memorySamples, start, end, sample => {
+        if (peakMemory === null || sample.value > peakMemory) {
+            peakMemory = sample.value;
+        }
+    });
+
+    return {
+        averageCpu: cpuTime > 0 ? Math.round(weightedCpu / cpuTime) : null,
+        peakMemory: peakMemory !== null ? Math.round(peakMemory) : null
+    };
+}
+
+// Manifest annotation a SKIP (or expected failure) message starts with,
+// e.g. 'skip-if: os == "linux" && debug # Bug 1234567'
+const MANIFEST_CONDITION_REGEXP = /^(skip-if|run-if|fail-if)\s*:\s*([^\n]*)/;
+
+// Parse the manifest condition out of a test message.
+// Returns { type: 'skip-if' | 'run-if' | 'fail-if', expression } or null.
+// The expression is normalized so that the same condition written with
+// different quotes or spacing in different manifests is grouped together.
+function parseManifestCondition(message) {
+    const match = message?.match(MANIFEST_CONDITION_REGEXP);
+    if (!match) {
+        return null;
+    }
+
+    const expression = match[2]
+        .replace(/(^|\s+)#.*$/, '') // Trailing manifest comment, usually a bug number
+        .replace(/'/g, '"')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!expression) {
+        return null;
+    }
+    return { type: match[1], expression };
+}
+
+// Extract the results of subtests (add_task functions in xpcshell tests,
+// assertions in mochitests), which are "Test" markers with a subtest field.
+// Passing and expected results are left out: the runs of the test already
+// count them, and keeping them would multiply the size of the data.
+function extractSubtestResults(markers, stringArray) {
+    const markerNameIds = ['test', 'subtest']
+        .map(name => stringArray.indexOf(name))
+        .filter(stringId => stringId !== -1);
+
+    const results = [];
+    for (let i = 0; i < markers.length; i++) {
+        if (!markerNameIds.includes(markers.name[i])) {
+            continue;
+        }
+        const data = markers.data[i];
+        if (data?.type !== "Test" || !data.subtest || !data.test) {
+            continue;
+        }
+        if (data.status === 'PASS' || data.color === 'green') {
+            continue;
+        }
+        results.push({
+            testPath: data.test.split(':').pop(),
+            time: markers.startTime[i],
+            name: data.subtest,
+            status: data.status || 'UNKNOWN',
+            message: data.message ? data.message.replace(/\r\n/g, '\n') : null
+        });
+    }
+    return results;
+}
+
 // Extract test timings from profile
-function extractTestTimings(profile, jobName) {
+function extractTestTimings(profile, jobName, harness = 'xpcshell') {
     if (!profile || !profile.threads || !profile.threads[0]) {
         return [];
     }
@@ -123,6 +269,7 @@ function extractTestTimings(profile, jobName) {
 
     // First, extract parallel execution ranges
     const parallelRanges = extractParallelRanges(markers, stringArray);
+    const resourceSamples = extractResourceSamples(profile, markers);
 
     // Extract crash markers for later matching with CRASH status tests
     const crashMarkers = [];
@@ -148,7 +295,7 @@ function extractTestTimings(profile, jobName) {
         }
 
         const data = markers.data[i];
-        if (!data) {
+        if (!data || data.subtest) {
             continue;
         }
 
@@ -176,6 +323,7 @@ function extractTestTimings(profile, jobName) {
 
             // Extract the actual test file path from the test field
             // Format: "xpcshell-parent-process.toml:dom/indexedDB/test/unit/test_fileListUpgrade.js"
+            // or "browser.toml:browser/base/content/test/general/browser_bug1234.js"
             if (testPath && testPath.includes(':')) {
                 testPath = testPath.split(':')[1];
             }
@@ -194,7 +342,7 @@ function extractTestTimings(profile, jobName) {
             continue;
         }
 
-        if (!testPath || !testPath.endsWith('.js')) {
+        if (!testPath || !isTestFile(testPath, harness)) {
             continue;
         }
 
@@ -209,6 +357,14 @@ function extractTestTimings(profile, jobName) {
         };
         if (message) {
             timing.message = message;
+            const condition = parseManifestCondition(message);
+            if (condition) {
+                timing.conditionType = condition.type;
+                timing.condition = condition.expression;
+            }
+        }
+        if (testEndTime > testStartTime) {
+            Object.assign(timing, getTestResourceUsage(resourceSamples, testStartTime, testEndTime));
         }
 
         // For CRASH status, find matching crash marker within the test's time range
@@ -231,88 +387,359 @@ function extractTestTimings(profile, jobName) {
         timings.push(timing);
     }
 
+    // Attach subtest results to the run of their test they happened during
+    const timingsByPath = new Map();
+    for (const timing of timings) {
+        if (!timingsByPath.has(timing.path)) {
+            timingsByPath.set(timing.path, []);
+        }
+        timingsByPath.get(timing.path).push(timing);
+    }
+    for (const subtest of extractSubtestResults(markers, stringArray)) {
+        const time = profile.meta.startTime + subtest.time;
+        const timing = timingsByPath.get(subtest.testPath)?.find(candidate =>
+            candidate.timestamp <= time && time <= candidate.timestamp + candidate.duration
+        );
+        if (!timing) {
+            continue;
+        }
+        if (!timing.subtests) {
+            timing.subtests = [];
+        }
+        const result = { name: subtest.name, status: subtest.status };
+        if (subtest.message) {
+            result.message = subtest.message;
+        }
+        timing.subtests.push(result);
+    }
+
     return timings;
 }
 
 
+// Names of the log markers shown on the Errors & Warnings dashboard (errors.html)
+const LOG_MARKER_NAMES = [
+    'C++ warning',
+    'C++ assertion',
+    'console.error',
+    'console.warn',
+    'JavaScript error',
+    'JavaScript warning',
+    'TSan Error'
+];
+
+// Source paths in log messages point into the build directory, e.g.
+// /builds/worker/checkouts/gecko/dom/base/Foo.cpp or z:/task_123/build/src/dom/base/Foo.cpp
+const BUILD_DIR_PREFIX = /^.*?\/(?:checkouts\/gecko|build\/src)\//;
+
+// Split a log message into its text and source location, dropping what
+// differs between runs of the same message (process prefix, build directory):
+//   "[Parent 1234, Main Thread] WARNING: NS_ENSURE_TRUE(x) failed: file /builds/worker/checkouts/gecko/dom/Foo.cpp:12"
+//   "JavaScript error: resource://gre/modules/Foo.sys.mjs, line 34: TypeError: x is null"
+function parseLogMessage(message) {
+    let text = message.trim().replace(/^\[[A-Za-z]+ \d+[^\]]*\]:?\s*/, '');
+    let file = null;
+    let line = null;
+
+    const jsMatch = text.match(/^JavaScript (?:error|warning): (\S+), line (\d+): ([\s\S]*)$/);
+    if (jsMatch) {
+        [, file, line, text] = jsMatch;
+    } else {
+        const fileMatch = text.match(/[,:]?\s*file (\S+?)(?::|, line )(\d+)\s*$/);
+        if (fileMatch) {
+            [, file, line] = fileMatch;
+            text = text.substring(0, fileMatch.index);
+        }
+        text = text.replace(/^(?:WARNING|###!!! ASSERTION|console\.(?:error|warn)):\s*/, '');
+    }
+
+    return {
+        text: text.trim() || null,
+        file: file ? file.replace(/\\/g, '/').replace(BUILD_DIR_PREFIX, '') : null,
+        line: line ? parseInt(line) : null
+    };
+}
+
+// Extract error and warning log markers, attributed to the test running when
+// they were logged, and counted per test and message.
+// Markers logged outside of any test are ignored. When tests run in parallel,
+// markers without a test field go to the most recently started test.
+function extractLogMessages(profile, timings) {
+    if (!profile?.threads?.[0] || timings.length === 0) {
+        return [];
+    }
+
+    const { markers, stringArray } = profile.threads[0];
+    if (!markers?.name || !stringArray) {
+        return [];
+    }
+
+    const markerNamesByStringId = new Map();
+    for (const markerName of LOG_MARKER_NAMES) {
+        const stringId = stringArray.indexOf(markerName);
+        if (stringId !== -1) {
+            markerNamesByStringId.set(stringId, markerName);
+        }
+    }
+    if (markerNamesByStringId.size === 0) {
+        return [];
+    }
+
+    // Tests sorted by start time, to find the running one with a binary search
+    const tests = timings
+        .map(timing => ({ path: timing.path, start: timing.timestamp, end: timing.timestamp + timing.duration }))
+        .sort((a, b) => a.start - b.start);
+    const maxDuration = Math.max(...tests.map(test => test.end - test.start));
+
+    function findRunningTest(time) {
+        let low = 0;
+        let high = tests.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (tests[middle].start <= time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        for (let i = low - 1; i >= 0 && tests[i].start >= time - maxDuration; i--) {
+            if (tests[i].end >= time) {
+                return tests[i].path;
+            }
+        }
+        return null;
+    }
+
+    const messages = new Map();
+    for (let i = 0; i < markers.length; i++) {
+        const markerName = markerNamesByStringId.get(markers.name[i]);
+        if (!markerName) {
+            continue;
+        }
+
+        const data = markers.data[i] || {};
+        let testPath = data.test ? data.test.split(':').pop() : null;
+        if (!testPath) {
+            testPath = findRunningTest(profile.meta.startTime + markers.startTime[i]);
+        }
+        if (!testPath) {
+            continue;
+        }
+
+        const parsed = parseLogMessage(data.message || data.text || data.name || '');
+        const file = data.file ? data.file.replace(BUILD_DIR_PREFIX, '') : parsed.file;
+        const line = data.line ?? parsed.line;
+
+        const key = JSON.stringify([testPath, markerName, parsed.text, file, line]);
+        const entry = messages.get(key);
+        if (entry) {
+            entry.count++;
+        } else {
+            messages.set(key, { path: testPath, markerName, text: parsed.text, file, line, count: 1 });
+        }
+    }
+
+    return [...messages.values()];
+}
+
+// Base delay before retrying a failed profile download; doubled on each attempt
+const RETRY_BASE_DELAY_MS = 1000;
+// Upper bound for the delay, including delays requested by a Retry-After header
+const RETRY_MAX_DELAY_MS = 60000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The main thread caps how many profile downloads are in flight across all
+// workers. Each download waits for a slot to be granted, and releases it when
+// done (including the time needed to read the response body).
+let nextFetchSlotRequestId = 0;
+const pendingFetchSlotRequests = new Map();
+
+function acquireFetchSlot() {
+    return new Promise(resolve => {
+        const requestId = nextFetchSlotRequestId++;
+        pendingFetchSlotRequests.set(requestId, resolve);
+        parentPort.postMessage({ type: 'acquireFetchSlot', requestId });
+    });
+}
+
+function releaseFetchSlot() {
+    parentPort.postMessage({ type: 'releaseFetchSlot' });
+}
+
+// The parts of resource profiles used by the extract* functions. Profiles are
+// parsed as they are downloaded, skipping everything else (samples, stack
+// tables, other threads...), so workers never hold a whole profile in memory.
+const PROFILE_SELECTION = {
+    meta: true,
+    threads: {
+        0: {
+            stringArray: true,
+            markers: { length: true, name: true, startTime: true, endTime: true, data: true }
+        }
+    }
+};
+
+// Rate limiting and server errors are worth retrying. Other errors (e.g. 404
+// for a job that didn't upload a resource profile) won't go away.
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+// Delay before the next attempt: exponential backoff with some jitter so
+// workers that failed together don't all retry at the same time, unless the
+// server told us how long to wait.
+function getRetryDelay(attempt, retryAfterHeader) {
+    const retryAfterSeconds = parseInt(retryAfterHeader);
+    const delay = !isNaN(retryAfterSeconds)
+        ? retryAfterSeconds * 1000
+        : RETRY_BASE_DELAY_MS * Math.pow(2, attempt) * (1 + Math.random() / 2);
+    return Math.min(delay, RETRY_MAX_DELAY_MS);
+}
+
+// Download a profile, retrying up to workerData.fetchRetries times.
+// Returns null when the profile doesn't exist, throws when all attempts failed.
+async function downloadProfile(url) {
+    for (let attempt = 0; ; attempt++) {
+        let lastError;
+        let retryAfterHeader = null;
+
+        await acquireFetchSlot();
+        try {
+            const response = await fetch(url);
+            if (response.ok) {
+                return await parseJsonStream(response.body, PROFILE_SELECTION);
+            }
+            if (!isRetryableStatus(response.status)) {
+                return null;
+            }
+            lastError = `HTTP ${response.status}`;
+            retryAfterHeader = response.headers.get('retry-after');
+        } catch (error) {
+            // Network errors, and truncated responses failing to parse
+            lastError = error.message;
+        } finally {
+            releaseFetchSlot();
+        }
+
+        if (attempt >= workerData.fetchRetries) {
+            throw new Error(`${lastError} (${attempt + 1} attempts)`);
+        }
+        await sleep(getRetryDelay(attempt, retryAfterHeader));
+    }
+}
+
 // Fetch resource profile from TaskCluster with local caching
+// (no caching when profileCacheDir is null, e.g. when recording HTTP fixtures).
+// Returns null when the task has no profile, throws when it couldn't be fetched.
 async function fetchResourceProfile(taskId, retryId = 0) {
-    const cacheFileGz = path.join(workerData.profileCacheDir, `${taskId}-${retryId}.json.gz`);
+    const cacheFileGz = workerData.profileCacheDir
+        ? getProfileCachePath(workerData.profileCacheDir, taskId, retryId)
+        : null;
 
     // Check if we have a cached gzipped version
-    if (fs.existsSync(cacheFileGz)) {
+    if (cacheFileGz && fs.existsSync(cacheFileGz)) {
+        let profile = null;
         try {
-            const compressedData = fs.readFileSync(cacheFileGz);
-            const decompressedData = zlib.gunzipSync(compressedData);
-            return JSON.parse(decompressedData.toString('utf-8'));
+            const stream = fs.createReadStream(cacheFileGz).pipe(zlib.createGunzip());
+            profile = await parseJsonStream(stream, PROFILE_SELECTION);
         } catch (error) {
             console.warn(`Error reading cached gzipped profile ${taskId}: ${error.message}`);
             // Continue to fetch from network
         }
+
+        if (profile) {
+            // Mark the profile as recently used for --cache prune. Failing to
+            // (e.g. on a read-only cache) doesn't make the profile unusable.
+            try {
+                const now = new Date();
+                fs.utimesSync(cacheFileGz, now, now);
+            } catch (error) {
+                console.warn(`Error marking cached profile ${taskId} as used: ${error.message}`);
+            }
+            return profile;
+        }
     }
 
     const url = `https://firefox-ci-tc.services.mozilla.com/api/queue/v1/task/${taskId}/runs/${retryId}/artifacts/public/test_info/profile_resource-usage.json`;
 
-    try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            return null;
-        }
-
-        const profile = await response.json();
+    const profile = await downloadProfile(url);
+    if (!profile) {
+        return null;
+    }
 
-        // Cache the profile for future use (gzipped)
+    // Cache the profile for future use (gzipped). Only the parsed parts are
+    // kept, which is all later runs read anyway.
+    if (cacheFileGz) {
         try {
             const compressed = zlib.gzipSync(JSON.stringify(profile));
             fs.writeFileSync(cacheFileGz, compressed);
         } catch (error) {
             console.warn(`Error caching profile ${taskId}: ${error.message}`);
         }
-
-        return profile;
-    } catch (error) {
-        console.error(`Error fetching profile for task ${taskId}:`, error.message);
-        return null;
     }
+
+    return profile;
 }
 
-// Process a single job to extract test timings
-async function processJob(job) {
+// Download the resource profile of a job, giving null when there's nothing to
+// process (no profile, or --cache prefetch). Throws when the download fails.
+async function fetchJobProfile(job) {
     const taskId = job.task_id;
     const retryId = job.retry_id || 0;
-    const jobName = job.name;
 
     if (!taskId) {
         return null;
     }
 
-    // Processing job silently to avoid mixed output with main thread
+    // --cache prefetch only fills the cache, with the profiles not in it yet
+    if (workerData.prefetchOnly) {
+        if (!fs.existsSync(getProfileCachePath(workerData.profileCacheDir, taskId, retryId))) {
+            await fetchResourceProfile(taskId, retryId);
+        }
+        return null;
+    }
+
+    return fetchResourceProfile(taskId, retryId);
+}
+
+// Process a single job to extract test timings from its resource profile
+function processJob(job, profile) {
+    const taskId = job.task_id;
+    const retryId = job.retry_id || 0;
+    const jobName = job.name;
 
-    const profile = await fetchResourceProfile(taskId, retryId);
     if (!profile) {
         return null;
     }
 
-    const timings = extractTestTimings(profile, jobName);
+    const timings = extractTestTimings(profile, jobName, workerData.harness);
     if (timings.length === 0) {
         return null;
     }
 
     const resourceUsage = extractResourceUsage(profile);
+    const logMessages = extractLogMessages(profile, timings);
 
-    // Convert start_time to timestamp in seconds if it's a string
-    const startTime = typeof job.start_time === 'string'
-        ? Math.floor(new Date(job.start_time).getTime() / 1000)
-        : job.start_time;
+    // Convert start_time and push_timestamp to timestamps in seconds if they're strings
+    const toSeconds = time => typeof time === 'string'
+        ? Math.floor(parseJobTime(time) / 1000)
+        : time;
 
     return {
         jobName: jobName,
         taskId: taskId,
         retryId: retryId,
         repository: job.repository,
-        startTime: startTime,
+        revision: job.revision || null,
+        pushId: job.push_id ?? null,
+        pushTimestamp: toSeconds(job.push_timestamp ?? null),
+        startTime: toSeconds(job.start_time),
         timings: timings,
-        resourceUsage: resourceUsage
+        resourceUsage: resourceUsage,
+        logMessages: logMessages
     };
 }
 
@@ -327,12 +754,34 @@ async function main() {
         // Listen for job assignments
         parentPort.on('message', async (message) => {
             if (message.type === 'job') {
-                const result = await processJob(message.job);
+                // A job whose profile couldn't be fetched is reported to the
+                // main thread, so the output can record it as missing
+                let profile;
+                try {
+                    profile = await fetchJobProfile(message.job);
+                } catch (error) {
+                    parentPort.postMessage({ type: 'jobComplete', result: null, fetchError: error.message });
+                    return;
+                }
+
+                // Failing to process a profile is a bug rather than a missing
+                // profile: the main thread retries the job as after a crash
+                let result;
+                try {
+                    result = processJob(message.job, profile);
+                } catch (error) {
+                    parentPort.postMessage({ type: 'error', error: `Failed to process task ${message.job.task_id}: ${error.stack}` });
+                    return;
+                }
                 if (result) {
                     results.push(result);
                 }
                 // Request next job
-                parentPort.postMessage({ type: 'jobComplete', result });
+                parentPort.postMessage({ type: 'jobComplete', result, fetchError: null });
+            } else if (message.type === 'fetchSlot') {
+                const resolve = pendingFetchSlotRequests.get(message.requestId);
+                pendingFetchSlotRequests.delete(message.requestId);
+                resolve();
             } else if (message.type === 'shutdown') {
                 // Send final results and exit
                 parentPort.postMessage({ type: 'finished', results });
@@ -343,4 +792,14 @@ async function main() {
     }
 }
 
-main();
+if (!isMainThread) {
+    main();
+}
+
+module.exports = {
+    parseManifestCondition,
+    extractSubtestResults,
+    extractTestTimings,
+    isRetryableStatus,
+    getRetryDelay
+};
@@ -0,0 +1,752 @@
+/**
+ * SQL-like queries over a data file (daily or multi-day), exposed as virtual
+ * tables: runs, tests, tasks, jobs and messages. Queries filter, group and
+ * aggregate their rows:
+ *
+ *   SELECT test, count(*) AS failures FROM runs
+ *   WHERE status = 'FAIL' AND job ~ 'windows'
+ *   GROUP BY test ORDER BY failures DESC LIMIT 20
+ *
+ * Used by query.html. Relies on computeTestStats from common-test-data.js.
+ */
+
+// Pages get computeTestStats from common-test-data.js
+if (typeof module !== 'undefined' && module.exports) {
+    var { computeTestStats } = require('./common-test-data.js');
+}
+
+/**
+ * The virtual tables and their columns, with descriptions for the page.
+ */
+const QUERY_TABLES = {
+    runs: {
+        description: 'One row per test run. Multi-day files without task IDs only keep run counts per day and message, which count(*) and the other aggregates take into account.',
+        columns: {
+            test: 'Full test path',
+            component: 'Bugzilla component of the test',
+            status: 'PASS, FAIL, SKIP, CRASH, TIMEOUT, …',
+            date: 'Day of the run (YYYY-MM-DD)',
+            time: 'Start time in seconds since the epoch (daily files only)',
+            duration: 'Duration in milliseconds (passing runs only in multi-day files)',
+            job: 'Job name',
+            repository: 'Repository of the push',
+            revision: 'Revision of the push',
+            task: 'Task ID and retry (taskId.retryId)',
+            message: 'Failure or skip message',
+            crash: 'Crash signature'
+        }
+    },
+    tests: {
+        description: 'One row per test, with its run counts by outcome.',
+        columns: {
+            test: 'Full test path',
+            path: 'Directory of the test',
+            name: 'File name of the test',
+            component: 'Bugzilla component of the test',
+            runs: 'Runs, skips excluded',
+            passes: 'Passing runs',
+            failures: 'Failing runs',
+            timeouts: 'Timed out runs',
+            crashes: 'Crashed runs',
+            skips: 'Skips, run-if conditions excluded'
+        }
+    },
+    tasks: {
+        description: 'One row per task (daily files and multi-day files with task IDs).',
+        columns: {
+            task: 'Task ID and retry (taskId.retryId)',
+            job: 'Job name',
+            repository: 'Repository of the push',
+            revision: 'Revision of the push',
+            push: 'Treeherder push ID',
+            pushTime: 'Push time in seconds since the epoch'
+        }
+    },
+    jobs: {
+        description: 'One row per job name (daily files and multi-day files with task IDs).',
+        columns: {
+            job: 'Job name',
+            tasks: 'Tasks of the job',
+            runs: 'Test runs in these tasks'
+        }
+    },
+    messages: {
+        description: 'One row per failure, skip or crash message.',
+        columns: {
+            message: 'The message',
+            runs: 'Runs with the message',
+            tests: 'Tests with the message'
+        }
+    }
+};
+
+const QUERY_AGGREGATES = ['count', 'sum', 'avg', 'min', 'max', 'median'];
+
+const QUERY_KEYWORDS = new Set(['select', 'from', 'where', 'group', 'by', 'order', 'limit', 'as', 'and', 'or', 'not', 'is', 'null', 'like', 'asc', 'desc', 'distinct']);
+
+// Numbers, quoted strings ('' or "" to escape a quote), identifiers and operators
+const QUERY_TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|'((?:[^']|'')*)'|"((?:[^"]|"")*)"|([A-Za-z_]\w*)|(<=|>=|!=|<>|!~|[=<>~(),*]))/y;
+
+function toQueryDate(seconds) {
+    return new Date(seconds * 1000).toISOString().split('T')[0];
+}
+
+function lookup(table, id) {
+    return id === null || id === undefined ? null : table[id];
+}
+
+function getFullTestPaths(data) {
+    return data.testInfo.testPathIds.map((pathId, testId) => {
+        const dirPath = data.tables.testPaths[pathId];
+        const testName = data.tables.testNames[data.testInfo.testNameIds[testId]];
+        return dirPath ? `${dirPath}/${testName}` : testName;
+    });
+}
+
+function requireTaskInfo(data, name) {
+    if (!data.tables.taskIds) {
+        throw new Error(`The ${name} table needs task IDs, which this file doesn't have: use a daily file or an issues-with-taskids file`);
+    }
+}
+
+// Each builder returns { length, columns: { name: rowIndex => value }, weights },
+// weights being the run counts of the rows when they aren't all 1
+const QUERY_TABLE_BUILDERS = {
+    runs(data) {
+        const { tables, taskInfo } = data;
+        const testPaths = getFullTestPaths(data);
+        const startTime = data.metadata.startTime;
+        const testIds = [], statusIds = [], days = [], times = [], durations = [];
+        const taskIdIds = [], jobNameIds = [], messageIds = [], crashSignatureIds = [], weights = [];
+        let weighted = false;
+
+        function addRun(testId, statusId, day, time, duration, taskIdId, jobNameId, messageId, crashSignatureId, weight) {
+            testIds.push(testId);
+            statusIds.push(statusId);
+            days.push(day);
+            times.push(time);
+            durations.push(duration ?? null);
+            taskIdIds.push(taskIdId);
+            jobNameIds.push(taskIdId === null ? jobNameId : taskInfo.jobNameIds[taskIdId]);
+            messageIds.push(messageId ?? null);
+            crashSignatureIds.push(crashSignatureId ?? null);
+            weights.push(weight);
+            if (weight !== 1) weighted = true;
+        }
+
+        data.testRuns.forEach((testGroup, testId) => {
+            if (!testGroup) return;
+            testGroup.forEach((statusGroup, statusId) => {
+                if (!statusGroup) return;
+
+                if (statusGroup.days === undefined) {
+                    // Daily files: one entry per run
+                    let time = startTime;
+                    for (let i = 0; i < statusGroup.taskIdIds.length; i++) {
+                        time += statusGroup.timestamps[i];
+                        addRun(testId, statusId, null, time, statusGroup.durations[i], statusGroup.taskIdIds[i], null,
+                            statusGroup.messageIds?.[i], statusGroup.crashSignatureIds?.[i], 1);
+                    }
+                    return;
+                }
+
+                // Multi-day files: one bucket per day and message or job name
+                let day = 0;
+                for (let i = 0; i < statusGroup.days.length; i++) {
+                    day += statusGroup.days[i];
+                    const messageId = statusGroup.messageIds?.[i];
+                    const crashSignatureId = statusGroup.crashSignatureIds?.[i];
+                    if (statusGroup.durations) {
+                        for (const duration of statusGroup.durations[i]) {
+                            addRun(testId, statusId, day, null, duration, null, statusGroup.jobNameIds[i], messageId, crashSignatureId, 1);
+                        }
+                    } else if (statusGroup.taskIdIds) {
+                        for (const taskIdId of statusGroup.taskIdIds[i]) {
+                            addRun(testId, statusId, day, null, null, taskIdId, null, messageId, crashSignatureId, 1);
+                        }
+                    } else {
+                        addRun(testId, statusId, day, null, null, null, null, messageId, crashSignatureId, statusGroup.counts[i]);
+                    }
+                }
+            });
+        });
+
+        return {
+            length: testIds.length,
+            weights: weighted ? weights : null,
+            columns: {
+                test: i => testPaths[testIds[i]],
+                component: i => lookup(tables.components, data.testInfo.componentIds?.[testIds[i]]),
+                status: i => tables.statuses[statusIds[i]],
+                date: i => toQueryDate(times[i] !== null ? times[i] : startTime + days[i] * 86400),
+                time: i => times[i],
+                duration: i => durations[i],
+                job: i => lookup(tables.jobNames, jobNameIds[i]),
+                repository: i => taskIdIds[i] === null ? null : lookup(tables.repositories, taskInfo.repositoryIds[taskIdIds[i]]),
+                revision: i => taskIdIds[i] === null ? null : lookup(tables.commitIds, taskInfo.commitIds?.[taskIdIds[i]]),
+                task: i => lookup(tables.taskIds, taskIdIds[i]),
+                message: i => lookup(tables.messages, messageIds[i]),
+                crash: i => lookup(tables.crashSignatures, crashSignatureIds[i])
+            },
+            // Used by the jobs and messages tables
+            jobNameIds,
+            messageIds,
+            testIds
+        };
+    },
+
+    tests(data) {
+        const testPaths = getFullTestPaths(data);
+        const stats = testPaths.map((fullPath, testId) => computeTestStats(data, testId));
+        return {
+            length: testPaths.length,
+            weights: null,
+            columns: {
+                test: i => testPaths[i],
+                path: i => data.tables.testPaths[data.testInfo.testPathIds[i]],
+                name: i => data.tables.testNames[data.testInfo.testNameIds[i]],
+                component: i => lookup(data.tables.components, data.testInfo.componentIds?.[i]),
+                runs: i => stats[i].runCount,
+                passes: i => stats[i].passCount,
+                failures: i => stats[i].failCount,
+                timeouts: i => stats[i].timeoutCount,
+                crashes: i => stats[i].crashCount,
+                skips: i => stats[i].skipCount
+            }
+        };
+    },
+
+    tasks(data) {
+        requireTaskInfo(data, 'tasks');
+        const { tables, taskInfo } = data;
+        return {
+            length: tables.taskIds.length,
+            weights: null,
+            columns: {
+                task: i => tables.taskIds[i],
+                job: i => lookup(tables.jobNames, taskInfo.jobNameIds[i]),
+                repository: i => lookup(tables.repositories, taskInfo.repositoryIds[i]),
+                revision: i => lookup(tables.commitIds, taskInfo.commitIds?.[i]),
+                push: i => taskInfo.pushIds?.[i] ?? null,
+                pushTime: i => taskInfo.pushTimestamps?.[i] ?? null
+            }
+        };
+    },
+
+    jobs(data, getTable) {
+        requireTaskInfo(data, 'jobs');
+        const jobNames = data.tables.jobNames;
+        const tasks = new Array(jobNames.length).fill(0);
+        const runs = new Array(jobNames.length).fill(0);
+        for (const jobNameId of data.taskInfo.jobNameIds) {
+            tasks[jobNameId]++;
+        }
+        const runsTable = getTable('runs');
+        runsTable.jobNameIds.forEach((jobNameId, i) => {
+            if (jobNameId !== null) {
+                runs[jobNameId] += runsTable.weights ? runsTable.weights[i] : 1;
+            }
+        });
+        return {
+            length: jobNames.length,
+            weights: null,
+            columns: {
+                job: i => jobNames[i],
+                tasks: i => tasks[i],
+                runs: i => runs[i]
+            }
+        };
+    },
+
+    messages(data, getTable) {
+        const messages = data.tables.messages;
+        const runs = new Array(messages.length).fill(0);
+        const tests = messages.map(() => new Set());
+        const runsTable = getTable('runs');
+        runsTable.messageIds.forEach((messageId, i) => {
+            if (messageId !== null) {
+                runs[messageId] += runsTable.weights ? runsTable.weights[i] : 1;
+                tests[messageId].add(runsTable.testIds[i]);
+            }
+        });
+        return {
+            length: messages.length,
+            weights: null,
+            columns: {
+                message: i => messages[i],
+                runs: i => runs[i],
+                tests: i => tests[i].size
+            }
+        };
+    }
+};
+
+/**
+ * Expose a data file as virtual tables, built the first time a query uses them.
+ * @returns {{ get(name) }} get returns the table, or throws for unknown tables
+ */
+function createQueryTables(data) {
+    const cache = new Map();
+    function get(name) {
+        if (!QUERY_TABLE_BUILDERS[name]) {
+            throw new Error(`Unknown table ${name}, expected one of: ${Object.keys(QUERY_TABLES).join(', ')}`);
+        }
+        if (!cache.has(name)) {
+            cache.set(name, { name, ...QUERY_TABLE_BUILDERS[name](data, get) });
+        }
+        return cache.get(name);
+    }
+    return { get };
+}
+
+function tokenizeQuery(text) {
+    const tokens = [];
+    QUERY_TOKEN_PATTERN.lastIndex = 0;
+    while (QUERY_TOKEN_PATTERN.lastIndex < text.length) {
+        const position = QUERY_TOKEN_PATTERN.lastIndex;
+        const match = QUERY_TOKEN_PATTERN.exec(text);
+        if (!match) {
+            if (!text.slice(position).trim()) break;
+            throw new Error(`Unexpected character at position ${position + text.slice(position).search(/\S/)}`);
+        }
+        const [, number, singleQuoted, doubleQuoted, identifier, operator] = match;
+        if (number !== undefined) {
+            tokens.push({ type: 'literal', value: parseFloat(number) });
+        } else if (singleQuoted !== undefined) {
+            tokens.push({ type: 'literal', value: singleQuoted.replace(/''/g, "'") });
+        } else if (doubleQuoted !== undefined) {
+            tokens.push({ type: 'literal', value: doubleQuoted.replace(/""/g, '"') });
+        } else if (identifier !== undefined) {
+            const keyword = identifier.toLowerCase();
+            tokens.push(QUERY_KEYWORDS.has(keyword) ? { type: 'keyword', value: keyword } : { type: 'identifier', value: identifier });
+        } else {
+            tokens.push({ type: 'operator', value: operator === '<>' ? '!=' : operator });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parse a query into { select, from, where, groupBy, orderBy, limit }.
+ * select is null for SELECT *, otherwise a list of { name, column, aggregate,
+ * distinct }; where is an expression tree.
+ */
+function parseQuery(text) {
+    const tokens = tokenizeQuery(text);
+    let index = 0;
+
+    function describe(token) {
+        return token ? `'${token.value}'` : 'end of query';
+    }
+    function peekKeyword(keyword) {
+        return tokens[index]?.type === 'keyword' && tokens[index].value === keyword;
+    }
+    function acceptKeyword(keyword) {
+        if (!peekKeyword(keyword)) return false;
+        index++;
+        return true;
+    }
+    function expectKeyword(keyword) {
+        if (!acceptKeyword(keyword)) {
+            throw new Error(`Expected ${keyword.toUpperCase()} but found ${describe(tokens[index])}`);
+        }
+    }
+    function acceptOperator(operator) {
+        if (tokens[index]?.type !== 'operator' || tokens[index].value !== operator) return false;
+        index++;
+        return true;
+    }
+    function expectOperator(operator) {
+        if (!acceptOperator(operator)) {
+            throw new Error(`Expected '${operator}' but found ${describe(tokens[index])}`);
+        }
+    }
+    function expectIdentifier(what) {
+        const token = tokens[index];
+        if (token?.type !== 'identifier') {
+            throw new Error(`Expected ${what} but found ${describe(token)}`);
+        }
+        index++;
+        return token.value;
+    }
+    function expectNumber() {
+        const token = tokens[index];
+        if (token?.type !== 'literal' || typeof token.value !== 'number') {
+            throw new Error(`Expected a number but found ${describe(token)}`);
+        }
+        index++;
+        return token.value;
+    }
+
+    // A column or an aggregate: count(*), count(DISTINCT column), sum(column), …
+    function parseSelectItem() {
+        const name = expectIdentifier('a column or aggregate');
+        const aggregate = name.toLowerCase();
+        if (!acceptOperator('(')) {
+            return { name, column: name, aggregate: null, distinct: false };
+        }
+        if (!QUERY_AGGREGATES.includes(aggregate)) {
+            throw new Error(`Unknown aggregate ${name}, expected one of: ${QUERY_AGGREGATES.join(', ')}`);
+        }
+        let column = null;
+        let distinct = false;
+        if (aggregate === 'count' && acceptOperator('*')) {
+            column = null;
+        } else {
+            distinct = aggregate === 'count' && acceptKeyword('distinct');
+            column = expectIdentifier('a column');
+        }
+        expectOperator(')');
+        return { name: `${aggregate}(${distinct ? 'distinct ' : ''}${column || '*'})`, column, aggregate, distinct };
+    }
+
+    function parseOperand() {
+        const token = tokens[index];
+        if (acceptOperator('(')) {
+            const expression = parseOr();
+            expectOperator(')');
+            return expression;
+        }
+        if (acceptKeyword('null')) {
+            return { type: 'literal', value: null };
+        }
+        if (token?.type === 'literal') {
+            index++;
+            return { type: 'literal', value: token.value };
+        }
+        return { type: 'column', name: expectIdentifier('a column or value') };
+    }
+
+    function parseComparison() {
+        const left = parseOperand();
+        if (acceptKeyword('is')) {
+            const negate = acceptKeyword('not');
+            expectKeyword('null');
+            return { type: 'isNull', operand: left, negate };
+        }
+        let negate = false;
+        if (peekKeyword('not') && tokens[index + 1]?.type === 'keyword' && tokens[index + 1].value === 'like') {
+            index++;
+            negate = true;
+        }
+        if (acceptKeyword('like')) {
+            return { type: 'match', operand: left, pattern: parsePattern('LIKE'), like: true, negate };
+        }
+        for (const op of ['=', '!=', '<=', '>=', '<', '>']) {
+            if (acceptOperator(op)) {
+                return { type: 'compare', op, left, right: parseOperand() };
+            }
+        }
+        for (const op of ['~', '!~']) {
+            if (acceptOperator(op)) {
+                return { type: 'match', operand: left, pattern: parsePattern(op), like: false, negate: op === '!~' };
+            }
+        }
+        return left;
+    }
+
+    function parsePattern(op) {
+        const token = tokens[index];
+        if (token?.type !== 'literal' || typeof token.value !== 'string') {
+            throw new Error(`${op} needs a quoted pattern but found ${describe(token)}`);
+        }
+        index++;
+        return token.value;
+    }
+
+    function parseNot() {
+        if (acceptKeyword('not')) {
+            return { type: 'not', operand: parseNot() };
+        }
+        return parseComparison();
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        while (acceptKeyword('and')) {
+            left = { type: 'and', left, right: parseNot() };
+        }
+        return left;
+    }
+
+    function parseOr() {
+        let left = parseAnd();
+        while (acceptKeyword('or')) {
+            left = { type: 'or', left, right: parseAnd() };
+        }
+        return left;
+    }
+
+    const query = { select: null, from: null, where: null, groupBy: [], orderBy: [], limit: null };
+
+    expectKeyword('select');
+    if (!acceptOperator('*')) {
+        query.select = [];
+        do {
+            const item = parseSelectItem();
+            if (acceptKeyword('as')) {
+                item.name = expectIdentifier('a column name');
+            }
+            query.select.push(item);
+        } while (acceptOperator(','));
+    }
+
+    expectKeyword('from');
+    query.from = expectIdentifier('a table');
+
+    if (acceptKeyword('where')) {
+        query.where = parseOr();
+    }
+    if (acceptKeyword('group')) {
+        expectKeyword('by');
+        do {
+            query.groupBy.push(expectIdentifier('a column'));
+        } while (acceptOperator(','));
+    }
+    if (acceptKeyword('order')) {
+        expectKeyword('by');
+        do {
+            const item = parseSelectItem();
+            const descending = acceptKeyword('desc');
+            if (!descending) acceptKeyword('asc');
+            query.orderBy.push({ name: item.aggregate ? item.name : item.column, descending });
+        } while (acceptOperator(','));
+    }
+    if (acceptKeyword('limit')) {
+        query.limit = expectNumber();
+    }
+    if (index < tokens.length) {
+        throw new Error(`Unexpected ${describe(tokens[index])}`);
+    }
+    return query;
+}
+
+function getColumn(table, name) {
+    const column = table.columns[name];
+    if (!column) {
+        throw new Error(`Unknown column ${name} in ${table.name}, expected one of: ${Object.keys(table.columns).join(', ')}`);
+    }
+    return column;
+}
+
+// Order of values for comparisons and sorting: numbers numerically, anything
+// else as strings
+function compareQueryValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    a = String(a);
+    b = String(b);
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// LIKE patterns: % for any text, _ for any character
+function likeToRegExp(pattern) {
+    const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+    return new RegExp(`^${source}$`, 'is');
+}
+
+// Compile an expression tree to a function of the row index. Comparisons with
+// null are false, as in SQL: use IS NULL to find missing values.
+function compileExpression(node, table) {
+    switch (node.type) {
+        case 'literal': {
+            const value = node.value;
+            return () => value;
+        }
+        case 'column':
+            return getColumn(table, node.name);
+        case 'and': {
+            const left = compileExpression(node.left, table);
+            const right = compileExpression(node.right, table);
+            return i => Boolean(left(i) && right(i));
+        }
+        case 'or': {
+            const left = compileExpression(node.left, table);
+            const right = compileExpression(node.right, table);
+            return i => Boolean(left(i) || right(i));
+        }
+        case 'not': {
+            const operand = compileExpression(node.operand, table);
+            return i => !operand(i);
+        }
+        case 'isNull': {
+            const operand = compileExpression(node.operand, table);
+            return i => (operand(i) === null) !== node.negate;
+        }
+        case 'match': {
+            const operand = compileExpression(node.operand, table);
+            const regExp = node.like ? likeToRegExp(node.pattern) : new RegExp(node.pattern, 'i');
+            return i => {
+                const value = operand(i);
+                return value !== null && regExp.test(String(value)) !== node.negate;
+            };
+        }
+        case 'compare': {
+            const left = compileExpression(node.left, table);
+            const right = compileExpression(node.right, table);
+            const test = {
+                '=': order => order === 0,
+                '!=': order => order !== 0,
+                '<': order => order < 0,
+                '<=': order => order <= 0,
+                '>': order => order > 0,
+                '>=': order => order >= 0
+            }[node.op];
+            return i => {
+                const a = left(i);
+                const b = right(i);
+                return a !== null && b !== null && test(compareQueryValues(a, b));
+            };
+        }
+    }
+    throw new Error(`Unknown expression ${node.type}`);
+}
+
+// Accumulator of one aggregate over the rows of a group, rows counting as
+// their weight (number of runs)
+function createAggregate(item, table) {
+    const column = item.column === null ? null : getColumn(table, item.column);
+    let count = 0, sum = 0;
+    let min = null, max = null;
+    const values = [];
+    const distinct = new Set();
+
+    return {
+        add(i, weight) {
+            if (!column) {
+                count += weight;
+                return;
+            }
+            const value = column(i);
+            if (value === null) return;
+            if (item.distinct) {
+                distinct.add(value);
+                return;
+            }
+            count += weight;
+            if (typeof value === 'number') {
+                sum += value * weight;
+                if (item.aggregate === 'median') values.push([value, weight]);
+            }
+            if (min === null || compareQueryValues(value, min) < 0) min = value;
+            if (max === null || compareQueryValues(value, max) > 0) max = value;
+        },
+        result() {
+            switch (item.aggregate) {
+                case 'count': return item.distinct ? distinct.size : count;
+                case 'sum': return sum;
+                case 'avg': return count > 0 ? sum / count : null;
+                case 'min': return min;
+                case 'max': return max;
+                case 'median': {
+                    values.sort((a, b) => a[0] - b[0]);
+                    const total = values.reduce((total, [, weight]) => total + weight, 0);
+                    let seen = 0;
+                    for (const [value, weight] of values) {
+                        seen += weight;
+                        if (seen * 2 >= total) return value;
+                    }
+                    return null;
+                }
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Run a query against the tables of createQueryTables.
+ * @returns {{ columns, rows, totalRows }} rows being arrays of values in the
+ *   order of columns, limited by LIMIT; totalRows is the count before LIMIT
+ */
+function runQuery(tables, text) {
+    const query = parseQuery(text);
+    const table = tables.get(query.from);
+    const filter = query.where ? compileExpression(query.where, table) : null;
+    const select = query.select || Object.keys(table.columns).map(name => ({ name, column: name, aggregate: null, distinct: false }));
+    const columns = select.map(item => item.name);
+    const isGrouped = query.groupBy.length > 0 || select.some(item => item.aggregate);
+
+    let rows = [];
+    if (isGrouped) {
+        if (!query.select) {
+            throw new Error('SELECT * can\'t be used with GROUP BY or aggregates');
+        }
+        for (const item of select) {
+            if (!item.aggregate && !query.groupBy.includes(item.column)) {
+                throw new Error(`${item.column} must be in GROUP BY or used in an aggregate`);
+            }
+        }
+        const groupColumns = query.groupBy.map(name => getColumn(table, name));
+        const groups = new Map();
+        for (let i = 0; i < table.length; i++) {
+            if (filter && !filter(i)) continue;
+
+            const keyValues = groupColumns.map(column => column(i));
+            const key = keyValues.length === 1 ? keyValues[0] : JSON.stringify(keyValues);
+            let group = groups.get(key);
+            if (!group) {
+                group = { keyValues, aggregates: select.map(item => item.aggregate ? createAggregate(item, table) : null) };
+                groups.set(key, group);
+            }
+            const weight = table.weights ? table.weights[i] : 1;
+            for (const aggregate of group.aggregates) {
+                if (aggregate) aggregate.add(i, weight);
+            }
+        }
+        // Aggregates without GROUP BY give a single row, even without matches
+        if (groups.size === 0 && query.groupBy.length === 0) {
+            groups.set(null, { keyValues: [], aggregates: select.map(item => createAggregate(item, table)) });
+        }
+        for (const { keyValues, aggregates } of groups.values()) {
+            rows.push(select.map((item, index) => item.aggregate
+                ? aggregates[index].result()
+                : keyValues[query.groupBy.indexOf(item.column)]));
+        }
+    } else {
+        const selectColumns = select.map(item => getColumn(table, item.column));
+        for (let i = 0; i < table.length; i++) {
+            if (filter && !filter(i)) continue;
+            rows.push(selectColumns.map(column => column(i)));
+        }
+    }
+
+    if (query.orderBy.length > 0) {
+        const orderIndexes = query.orderBy.map(({ name, descending }) => {
+            const index = columns.indexOf(name);
+            if (index === -1) {
+                throw new Error(`ORDER BY ${name} must be one of the selected columns: ${columns.join(', ')}`);
+            }
+            return { index, sign: descending ? -1 : 1 };
+        });
+        rows.sort((a, b) => {
+            for (const { index, sign } of orderIndexes) {
+                // Nulls go last either way
+                if (a[index] === null || b[index] === null) {
+                    if (a[index] !== b[index]) return a[index] === null ? 1 : -1;
+                    continue;
+                }
+                const order = compareQueryValues(a[index], b[index]);
+                if (order !== 0) return order * sign;
+            }
+            return 0;
+        });
+    }
+
+    const totalRows = rows.length;
+    if (query.limit !== null) {
+        rows = rows.slice(0, query.limit);
+    }
+    return { columns, rows, totalRows };
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUERY_TABLES,
+        createQueryTables,
+        parseQuery,
+        runQuery
+    };
+}
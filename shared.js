@@ -115,6 +115,28 @@ function formatDurationS(totalSeconds) {
     }
 }
 
+// Number of jobs a data file was generated from, e.g. "1,234 test jobs", with
+// the jobs whose profiles couldn't be fetched: "1,234 test jobs, 5 missing"
+function formatJobCount(metadata, label = 'jobs') {
+    const jobCount = metadata?.jobCount || 0;
+    const missingCount = metadata?.failedTaskIds?.length ?? metadata?.failedJobCount ?? 0;
+    const text = `${jobCount.toLocaleString()} ${label}`;
+    return missingCount > 0 ? `${text}, ${missingCount.toLocaleString()} missing` : text;
+}
+
+// Average CPU use of a test run (in percent of one core) as a number of cores
+function formatCpuUsage(percent) {
+    return percent === null ? '—' : `${(percent / 100).toFixed(1)} cores`;
+}
+
+// Peak memory use of a test run (in MB)
+function formatMemoryMB(mb) {
+    if (mb === null) {
+        return '—';
+    }
+    return mb >= 1024 ? `${(mb / 1024).toFixed(1)} GB` : `${mb} MB`;
+}
+
 function createScatterPlot(container, platformData, platform, currentRepository, colors, buildTypes) {
     // Add anchor for direct linking
     const anchor = document.createElement('a');
@@ -0,0 +1,100 @@
+// Tests for the columnar binary encoding of the data files (--binary), and
+// how fetch-utils.js finds and decodes the binary files
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const { createHistoricalDataBuilder, encodeBinaryData, saveJsonFile } = require('../fetch-xpcshell-data.js');
+const { findTest, computeTestStats } = require('../common-test-data.js');
+const { START_TIME, makeJobResults, encode } = require('./helpers.js');
+
+// fetch-utils.js, which is only loaded by pages, reading local files with fetch
+function loadFetchUtils(fetch = null) {
+    const context = vm.createContext({
+        window: { location: { search: '', protocol: 'http:', hostname: 'localhost' } },
+        URLSearchParams,
+        TextDecoder,
+        fetch,
+        console: { log() {}, warn() {} }
+    });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'fetch-utils.js'), 'utf-8'), context);
+    return context;
+}
+
+function loadBinaryDecoder() {
+    return loadFetchUtils().decodeBinaryData;
+}
+
+// Typed arrays back to plain arrays, to compare with the original data
+function toPlainArrays(value) {
+    if (ArrayBuffer.isView(value)) return Array.from(value);
+    if (Array.isArray(value)) return value.map(toPlainArrays);
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, toPlainArrays(child)]));
+    }
+    return value;
+}
+
+test('binary encoding decodes to the same data, with typed array columns', () => {
+    const decodeBinaryData = loadBinaryDecoder();
+    const data = encode(makeJobResults());
+    const builder = createHistoricalDataBuilder(true);
+    for (const fullPath of ['dom/base/test/test_a.js', 'dom/base/test/test_b.js', 'netwerk/test/test_c.js']) {
+        builder.addTestRuns(data, findTest(data, fullPath).testId, fullPath, 0);
+    }
+    const aggregated = builder.finish({ days: 1, startTime: START_TIME });
+
+    for (const original of [data, aggregated]) {
+        // Copy into a standalone ArrayBuffer, like the one of a fetched response
+        const encoded = encodeBinaryData(original);
+        const buffer = new ArrayBuffer(encoded.length);
+        new Uint8Array(buffer).set(encoded);
+        const decoded = decodeBinaryData(buffer);
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(toPlainArrays(decoded))), JSON.parse(JSON.stringify(original)));
+    }
+
+    const decoded = decodeBinaryData(new Uint8Array(encodeBinaryData(data)).buffer);
+    const passGroup = decoded.testRuns[0][decoded.tables.statuses.indexOf('PASS')];
+    assert.strictEqual(passGroup.durations.constructor.name, 'Int32Array');
+    assert.deepStrictEqual(computeTestStats(decoded, 0), computeTestStats(data, 0));
+});
+
+test('binary files are looked for again for each kind of data file, and removed when stale', async () => {
+    const data = encode(makeJobResults());
+    const binary = new Uint8Array(encodeBinaryData(data)).buffer;
+    // Only the daily files have a binary version
+    const requested = [];
+    const { fetchData } = loadFetchUtils(async url => {
+        requested.push(url.replace('./data/', ''));
+        const isDailyBinary = /-\d{4}-\d{2}-\d{2}\.bin$/.test(url);
+        return {
+            ok: isDailyBinary || url.endsWith('.json'),
+            arrayBuffer: async () => binary,
+            json: async () => data
+        };
+    });
+    for (const file of ['xpcshell-3f.json', 'xpcshell-0a.json', 'xpcshell-2025-01-01.json', 'xpcshell-2025-01-02.json']) {
+        const loaded = await (await fetchData(file)).json();
+        assert.deepStrictEqual(computeTestStats(loaded, 1), computeTestStats(data, 1));
+    }
+    // (local files that are missing are fetched a second time for the error response)
+    assert.deepStrictEqual(requested, [
+        'xpcshell-3f.bin', 'xpcshell-3f.bin', 'xpcshell-3f.json', 'xpcshell-0a.json',
+        'xpcshell-2025-01-01.bin', 'xpcshell-2025-01-02.bin'
+    ]);
+
+    // Without --binary, saving a file removes the binary version of an earlier run
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'binary-encoding-'));
+    try {
+        const filePath = path.join(dir, 'xpcshell-2025-01-01.json');
+        fs.writeFileSync(filePath.replace(/\.json$/, '.bin'), 'stale');
+        saveJsonFile(data, filePath, false, true);
+        assert.deepStrictEqual(fs.readdirSync(dir), ['xpcshell-2025-01-01.json']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,53 @@
+// Tests for the shared page helpers of common-ui.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { formatTableExport } = require('../common-ui.js');
+
+test('table exports carry the page and state they were taken from', () => {
+    const table = {
+        columns: [{ key: 'test', label: 'Test' }, { key: 'runs', label: 'Runs' }, { key: 'message', label: 'Message, first line' }],
+        rows: [
+            { test: 'dom/base/test/test_a.js', runs: 3, message: 'expected "true"' },
+            { test: 'dom/base/test/test_b.js', runs: 0, message: null }
+        ]
+    };
+    const header = { page: 'issues.html?harness=mochitest', state: { q: 'dom', sort: 'runs' }, exported: '2025-01-01T00:00:00.000Z' };
+
+    assert.strictEqual(formatTableExport('csv', table, header), [
+        '# page: issues.html?harness=mochitest',
+        '# state: q=dom&sort=runs',
+        '# exported: 2025-01-01T00:00:00.000Z',
+        'Test,Runs,"Message, first line"',
+        'dom/base/test/test_a.js,3,"expected ""true"""',
+        'dom/base/test/test_b.js,0,',
+        ''
+    ].join('\n'));
+    assert.match(formatTableExport('csv', { columns: [], rows: [] }, { ...header, state: {} }), /^# state: \(default\)$/m);
+    assert.deepStrictEqual(JSON.parse(formatTableExport('json', table, header)), { ...header, ...table });
+});
+
+test('table exports only keep the values of the exported columns', () => {
+    // Like the rows of crashes.html and failures.html, which keep the paths
+    // of each signature or message next to the columns
+    const table = {
+        columns: [{ key: 'signature', label: 'Signature' }, { key: 'count', label: 'Count' }],
+        rows: [
+            { signature: 'mozilla::Foo', count: 2, paths: { 'dom/base/test/test_a.js': 2 }, expanded: true },
+            { signature: 'mozilla::Bar', paths: {} }
+        ]
+    };
+    const header = { page: 'crashes.html', state: {}, exported: '2025-01-01T00:00:00.000Z' };
+
+    assert.deepStrictEqual(JSON.parse(formatTableExport('json', table, header)).rows, [
+        { signature: 'mozilla::Foo', count: 2 },
+        { signature: 'mozilla::Bar', count: null }
+    ]);
+    assert.deepStrictEqual(formatTableExport('csv', table, header).split('\n').slice(3), [
+        'Signature,Count',
+        'mozilla::Foo,2',
+        'mozilla::Bar,',
+        ''
+    ]);
+});
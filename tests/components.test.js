@@ -0,0 +1,43 @@
+// Tests for the Bugzilla components of tests (--components), in the daily and
+// multi-day files
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    createComponentLookup,
+    createDataTables,
+    sortStringTablesByFrequency,
+    compressTestRunTimestamps,
+    createHistoricalDataBuilder
+} = require('../fetch-xpcshell-data.js');
+const { findTest } = require('../common-test-data.js');
+const { validateDataFile } = require('../validate-data.js');
+const { START_TIME, makeJobResults, encode } = require('./helpers.js');
+
+test('tests get the component of their longest matching path prefix', () => {
+    const getComponent = createComponentLookup({
+        'dom': 'Core :: DOM: Core & HTML',
+        'dom/base/test/': 'Core :: DOM: Base'
+    });
+    const dataStructure = sortStringTablesByFrequency(createDataTables(makeJobResults(), getComponent));
+    compressTestRunTimestamps(dataStructure.testRuns, START_TIME);
+    const data = { metadata: { startTime: START_TIME }, ...dataStructure };
+    assert.deepStrictEqual(validateDataFile(data, 'daily'), []);
+
+    assert.strictEqual(findTest(data, 'dom/base/test/test_a.js').component, 'Core :: DOM: Base');
+    assert.strictEqual(findTest(data, 'netwerk/test/test_c.js').component, null);
+    assert.strictEqual(getComponent('dom/media/test_d.js'), 'Core :: DOM: Core & HTML');
+    assert.strictEqual(getComponent('domain/test_e.js'), null);
+
+    // Components are kept by the multi-day aggregation, and left out when
+    // the daily files have none
+    const builder = createHistoricalDataBuilder(false);
+    builder.addTestRuns(data, findTest(data, 'dom/base/test/test_a.js').testId, 'dom/base/test/test_a.js', 0);
+    assert.strictEqual(findTest(builder.finish({}), 'dom/base/test/test_a.js').component, 'Core :: DOM: Base');
+    const plainData = encode(makeJobResults());
+    assert.strictEqual(plainData.tables.components, undefined);
+    const plainBuilder = createHistoricalDataBuilder(false);
+    plainBuilder.addTestRuns(plainData, findTest(plainData, 'dom/base/test/test_a.js').testId, 'dom/base/test/test_a.js', 0);
+    assert.strictEqual(plainBuilder.finish({}).testInfo.componentIds, undefined);
+});
@@ -0,0 +1,167 @@
+// Round-trip tests for the data file encoding: synthetic job results are
+// encoded with the generator's table helpers, then read back through the
+// helpers the dashboards use.
+//
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    createDataTables,
+    sortStringTablesByFrequency,
+    compressTestRunTimestamps,
+    createHistoricalDataBuilder
+} = require('../fetch-xpcshell-data.js');
+const { findTest, computeTestStats, getCountAtIndex } = require('../common-test-data.js');
+const { calculateDailyRates } = require('../common-charts.js');
+const { START_TIME, makeJobResults, encode, decodeRuns } = require('./helpers.js');
+
+test('createDataTables splits test paths and stores per-status data', () => {
+    const data = createDataTables(makeJobResults());
+
+    assert.deepStrictEqual(data.tables.testPaths, ['dom/base/test', 'netwerk/test']);
+    assert.deepStrictEqual(data.tables.testNames, ['test_a.js', 'test_b.js', 'test_c.js']);
+    assert.deepStrictEqual(data.tables.taskIds, ['taskA.0', 'taskB.0', 'taskC.0']);
+    assert.strictEqual(data.testInfo.testPathIds.length, 3);
+
+    const skipGroup = data.testRuns[2][data.tables.statuses.indexOf('SKIP')];
+    assert.strictEqual(skipGroup.messageIds.length, 2);
+
+    const failGroup = data.testRuns[1][data.tables.statuses.indexOf('FAIL')];
+    assert.deepStrictEqual(failGroup.messageIds.map(id => data.tables.messages[id]), ['assertion failed']);
+
+    const passGroup = data.testRuns[0][data.tables.statuses.indexOf('PASS')];
+    assert.strictEqual(passGroup.messageIds, undefined);
+    assert.strictEqual(passGroup.crashSignatureIds, undefined);
+});
+
+test('sortStringTablesByFrequency sorts tables and keeps every run intact', () => {
+    const unsorted = createDataTables(makeJobResults());
+    const sorted = sortStringTablesByFrequency(createDataTables(makeJobResults()));
+
+    // PASS is the most frequent status, dom/base/test the most frequent path
+    assert.strictEqual(sorted.tables.statuses[0], 'PASS');
+    assert.strictEqual(sorted.tables.testPaths[0], 'dom/base/test');
+
+    const withTimestamps = data => ({ metadata: { startTime: START_TIME }, ...data });
+    const before = withTimestamps(unsorted);
+    const after = withTimestamps(sorted);
+    compressTestRunTimestamps(before.testRuns, START_TIME);
+    compressTestRunTimestamps(after.testRuns, START_TIME);
+
+    for (let testId = 0; testId < before.testRuns.length; testId++) {
+        assert.deepStrictEqual(decodeRuns(after, testId), decodeRuns(before, testId));
+    }
+});
+
+test('compressTestRunTimestamps stores sorted, relative, delta-encoded seconds', () => {
+    const data = encode(makeJobResults());
+    const { testId } = findTest(data, 'dom/base/test/test_a.js');
+    const passGroup = data.testRuns[testId][data.tables.statuses.indexOf('PASS')];
+
+    // Runs at 30s (taskA), 20s (taskB) and 10s (taskC) after the start time
+    assert.deepStrictEqual(passGroup.timestamps, [10, 10, 10]);
+    assert.deepStrictEqual(passGroup.taskIdIds.map(id => data.tables.taskIds[id]), ['taskC.0', 'taskB.0', 'taskA.0']);
+});
+
+test('encoded data round-trips through findTest and computeTestStats', () => {
+    const data = encode(makeJobResults());
+
+    assert.strictEqual(findTest(data, 'dom/base/test/test_missing.js'), null);
+    assert.strictEqual(findTest({ tables: data.tables }, 'dom/base/test/test_a.js'), null);
+
+    const testA = findTest(data, 'dom/base/test/test_a.js');
+    assert.strictEqual(testA.fullPath, 'dom/base/test/test_a.js');
+    assert.deepStrictEqual(computeTestStats(data, testA.testId), {
+        runCount: 3, skipCount: 0, passCount: 3, failCount: 0, timeoutCount: 0, crashCount: 0,
+        passPercentage: 100, failureMessages: []
+    });
+
+    const testB = findTest(data, 'dom/base/test/test_b.js');
+    const statsB = computeTestStats(data, testB.testId);
+    assert.strictEqual(statsB.runCount, 3);
+    assert.strictEqual(statsB.failCount, 1);
+    assert.strictEqual(statsB.crashCount, 1);
+    assert.strictEqual(statsB.passPercentage, 33.33);
+    assert.deepStrictEqual(statsB.failureMessages.sort(), ['assertion failed', 'mozilla::Foo']);
+
+    const crashRun = decodeRuns(data, testB.testId).find(run => run.status === 'CRASH');
+    assert.strictEqual(crashRun.crashSignature, 'mozilla::Foo');
+    assert.strictEqual(crashRun.minidump, 'abc');
+
+    // run-if skips are not counted as skips
+    const testC = findTest(data, 'netwerk/test/test_c.js');
+    const statsC = computeTestStats(data, testC.testId);
+    assert.strictEqual(statsC.skipCount, 1);
+    assert.strictEqual(statsC.runCount, 0);
+    assert.deepStrictEqual(decodeRuns(data, testC.testId).map(run => run.message),
+        ['skip-if: os == "linux"', 'run-if: os == "mac"']);
+});
+
+function loadFetchUtils(fetch = null) {
+    const context = vm.createContext({
+        window: { location: { search: '', protocol: 'http:', hostname: 'localhost' } },
+        URLSearchParams,
+        TextDecoder,
+        fetch,
+        console: { log() {}, warn() {} }
+    });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'fetch-utils.js'), 'utf-8'), context);
+    return context;
+}
+
+function toPlainArrays(value) {
+    if (ArrayBuffer.isView(value)) return Array.from(value);
+    if (Array.isArray(value)) return value.map(toPlainArrays);
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, toPlainArrays(child)]));
+    }
+    return value;
+}
+
+test('multi-day aggregation is read back by getCountAtIndex and calculateDailyRates', () => {
+    const day0 = encode(makeJobResults());
+    const day2 = encode(makeJobResults().slice(0, 1));
+
+    const countsBuilder = createHistoricalDataBuilder(false);
+    const taskIdsBuilder = createHistoricalDataBuilder(true);
+    for (const [data, day] of [[day0, 0], [day2, 2]]) {
+        for (let testId = 0; testId < data.testRuns.length; testId++) {
+            const dirPath = data.tables.testPaths[data.testInfo.testPathIds[testId]];
+            const testName = data.tables.testNames[data.testInfo.testNameIds[testId]];
+            countsBuilder.addTestRuns(data, testId, `${dirPath}/${testName}`, day);
+            taskIdsBuilder.addTestRuns(data, testId, `${dirPath}/${testName}`, day);
+        }
+    }
+
+    const metadata = { days: 3, startTime: START_TIME };
+    const counts = countsBuilder.finish(metadata);
+    const withTaskIds = taskIdsBuilder.finish(metadata);
+
+    const testA = findTest(counts, 'dom/base/test/test_a.js');
+    const passGroup = counts.testRuns[testA.testId][counts.tables.statuses.indexOf('PASS')];
+    assert.deepStrictEqual(passGroup.days, [0, 2]);
+    assert.strictEqual(getCountAtIndex(passGroup, 0), 3);
+    assert.strictEqual(getCountAtIndex(passGroup, 1), 1);
+    assert.strictEqual(computeTestStats(counts, testA.testId).passCount, 4);
+
+    // Passing runs keep their durations per job name, other runs their task IDs
+    const testAWithTaskIds = findTest(withTaskIds, 'dom/base/test/test_a.js');
+    const detailedPassGroup = withTaskIds.testRuns[testAWithTaskIds.testId][withTaskIds.tables.statuses.indexOf('PASS')];
+    assert.strictEqual(detailedPassGroup.jobNameIds.length, detailedPassGroup.durations.length);
+    assert.strictEqual(computeTestStats(withTaskIds, testAWithTaskIds.testId).passCount, 4);
+
+    const dailyRates = calculateDailyRates({
+        historicalData: withTaskIds,
+        targetValue: 'assertion failed',
+        valueField: 'messageIds',
+        valueTable: 'messages',
+        statusName: 'FAIL'
+    });
+    assert.deepStrictEqual(dailyRates.map(day => day.date), ['2025-01-01', '2025-01-02', '2025-01-03']);
+    assert.deepStrictEqual(dailyRates.map(day => day.events), [1, 0, 1]);
+
+    const testC = findTest(withTaskIds, 'netwerk/test/test_c.js');
+    assert.strictEqual(computeTestStats(withTaskIds, testC.testId).skipCount, 2);
+});
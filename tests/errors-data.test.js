@@ -0,0 +1,42 @@
+// Tests for the errors data files: the log messages of each test, per day
+// and aggregated over several days
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createErrorsData, createErrorsDataBuilder, forEachErrorOccurrence } = require('../fetch-xpcshell-data.js');
+const { validateDataFile } = require('../validate-data.js');
+const { START_TIME, makeJobResults } = require('./helpers.js');
+
+test('errors data groups log messages by test and message', () => {
+    const [taskA, taskB] = makeJobResults();
+    const warning = { markerName: 'C++ warning', text: 'NS_ENSURE_TRUE(x) failed', file: 'dom/Foo.cpp', line: 12 };
+    taskA.logMessages = [
+        { path: 'dom/base/test/test_a.js', ...warning, count: 3 },
+        { path: 'dom/base/test/test_b.js', markerName: 'JavaScript error', text: 'TypeError: x is null', file: null, line: null, count: 1 }
+    ];
+    taskB.logMessages = [{ path: 'dom/base/test/test_a.js', ...warning, count: 2 }];
+
+    const daily = createErrorsData([taskA, taskB], { date: '2025-01-01', startTime: START_TIME });
+    assert.deepStrictEqual(validateDataFile(daily, 'errors'), []);
+    assert.strictEqual(daily.metadata.markerCount, 6);
+    assert.deepStrictEqual(daily.markers.counts, [[3, 2], [1]]);
+    assert.deepStrictEqual(daily.markers.taskIdIds, [[0, 1], [0]]);
+    assert.strictEqual(daily.messages.componentIds[0], null);
+
+    // Aggregation over two days, as done by --aggregate
+    const counts = createErrorsDataBuilder(false, true);
+    const withTaskIds = createErrorsDataBuilder(true, true);
+    for (const day of [0, 3]) {
+        forEachErrorOccurrence(daily, occurrence => {
+            counts.add({ ...occurrence, day });
+            withTaskIds.add({ ...occurrence, day });
+        });
+    }
+    const aggregated = counts.finish({ days: 4, startTime: START_TIME });
+    assert.deepStrictEqual(validateDataFile(aggregated, 'errors'), []);
+    assert.deepStrictEqual(aggregated.markers.days, [0, 0, 3, 3]);
+    assert.deepStrictEqual(aggregated.markers.counts, [5, 1, 5, 1]);
+    assert.strictEqual(aggregated.taskInfo, undefined);
+    assert.deepStrictEqual(validateDataFile(withTaskIds.finish({ days: 4, startTime: START_TIME }), 'errors'), []);
+});
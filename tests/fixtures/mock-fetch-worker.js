@@ -0,0 +1,72 @@
+// profile-worker.js with a mocked fetch, for tests/profile-download.test.js.
+// The response depends on the task ID in the profile URL:
+//   unavailable*   503 for the first two requests, then the profile
+//   ratelimited*   always 429
+//   missing*       404
+//   malformed*     a profile whose markers lack their start times
+//   anything else  the profile
+// Responses take MOCK_FETCH_DELAY_MS milliseconds, and the start and end of
+// each request is logged to the file in the MOCK_FETCH_LOG environment
+// variable as "start <taskId>" / "end <taskId>".
+
+const fs = require('fs');
+
+const DELAY_MS = parseInt(process.env.MOCK_FETCH_DELAY_MS) || 0;
+
+const PROFILE = JSON.stringify({
+    meta: { startTime: Date.parse('2025-01-15T08:00:00.000Z') },
+    threads: [{
+        stringArray: ['test'],
+        markers: {
+            length: 1,
+            name: [0],
+            startTime: [100],
+            endTime: [600],
+            data: [{ type: 'Test', test: 'xpcshell.toml:dom/base/test/unit/test_mock.js', status: 'PASS', color: 'green' }]
+        }
+    }]
+});
+
+const MALFORMED_PROFILE = JSON.stringify({
+    meta: { startTime: Date.parse('2025-01-15T08:00:00.000Z') },
+    threads: [{
+        stringArray: ['test'],
+        markers: {
+            length: 1,
+            name: [0],
+            data: [{ type: 'Crash', test: 'xpcshell.toml:dom/base/test/unit/test_mock.js' }]
+        }
+    }]
+});
+
+const requestCounts = new Map();
+
+function log(line) {
+    fs.appendFileSync(process.env.MOCK_FETCH_LOG, line + '\n');
+}
+
+globalThis.fetch = async function(url) {
+    const taskId = url.match(/\/task\/([^/]+)\//)[1];
+    const count = (requestCounts.get(taskId) || 0) + 1;
+    requestCounts.set(taskId, count);
+
+    log(`start ${taskId}`);
+    await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+    log(`end ${taskId}`);
+
+    if (taskId.startsWith('unavailable') && count <= 2) {
+        return new Response('Service Unavailable', { status: 503, headers: { 'retry-after': '0' } });
+    }
+    if (taskId.startsWith('ratelimited')) {
+        return new Response('Too Many Requests', { status: 429, headers: { 'retry-after': '0' } });
+    }
+    if (taskId.startsWith('missing')) {
+        return new Response('{"code":"ResourceNotFound"}', { status: 404 });
+    }
+    if (taskId.startsWith('malformed')) {
+        return new Response(MALFORMED_PROFILE, { status: 200, headers: { 'content-type': 'application/json' } });
+    }
+    return new Response(PROFILE, { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+require('../../profile-worker.js');
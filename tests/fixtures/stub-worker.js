@@ -0,0 +1,38 @@
+// Stand-in for profile-worker.js in the tests of processJobsWithWorkers,
+// speaking the same protocol with the main thread. Jobs say how to behave:
+//   crash: 'always' to exit while processing the job, or 'once' to exit the
+//     first time only (remembered by creating the job's markerFile)
+// Every job started is logged to STUB_WORKER_LOG. With STUB_WORKER_FAIL_START
+// set to a file path, the first worker to start creates it and exits before
+// being ready.
+
+const { parentPort } = require('worker_threads');
+const fs = require('fs');
+
+const failStartMarker = process.env.STUB_WORKER_FAIL_START;
+if (failStartMarker && !fs.existsSync(failStartMarker)) {
+    fs.writeFileSync(failStartMarker, '');
+    throw new Error('stub worker failing to start');
+}
+
+parentPort.postMessage({ type: 'ready' });
+
+parentPort.on('message', message => {
+    if (message.type === 'job') {
+        const { job } = message;
+        fs.appendFileSync(process.env.STUB_WORKER_LOG, `${job.task_id}\n`);
+
+        if (job.crash === 'always' || (job.crash === 'once' && !fs.existsSync(job.markerFile))) {
+            if (job.markerFile) {
+                fs.writeFileSync(job.markerFile, '');
+            }
+            process.exit(1);
+        }
+        // Take a little time, like downloading a profile would
+        setTimeout(() => {
+            parentPort.postMessage({ type: 'jobComplete', result: { taskId: job.task_id }, fetchError: null });
+        }, 10);
+    } else if (message.type === 'shutdown') {
+        parentPort.postMessage({ type: 'finished', results: [] });
+    }
+});
@@ -0,0 +1,78 @@
+// Tests for the flake scores, change points and regression ranges of
+// flakiness.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getTestPushRuns } = require('../common-test-data.js');
+const { getTreeherderPushRangeUrl } = require('../common-links.js');
+const { getTestDailyRuns, computeFlakeScore, computeTestFlakiness, findRegressionRange } = require('../flakiness.js');
+const { START_TIME, makeJobResult, encode } = require('./helpers.js');
+
+test('flake scores weigh failure rates by run counts, and change points find when a test started failing', () => {
+    // A test passing 20 times a day, then failing 6 of its 20 daily runs from
+    // the fourth day
+    const data = {
+        metadata: { days: 6, startTime: START_TIME },
+        tables: { statuses: ['PASS', 'FAIL', 'SKIP'] },
+        testRuns: [[
+            { days: [0, 1, 1, 1, 1, 1], counts: [20, 20, 20, 14, 14, 14] },
+            { days: [3, 1, 1], counts: [6, 6, 6], messageIds: [0, 0, 0] },
+            { days: [0], counts: [50] }
+        ]]
+    };
+
+    const dailyRuns = getTestDailyRuns(data, 0);
+    assert.deepStrictEqual(dailyRuns.map(day => [day.runs, day.failures]), [[20, 0], [20, 0], [20, 0], [20, 6], [20, 6], [20, 6]]);
+    assert.strictEqual(dailyRuns[3].date, '2025-01-04');
+
+    const flakiness = computeTestFlakiness(data, 0);
+    assert.strictEqual(flakiness.failureRate, 18 / 120);
+    assert.ok(flakiness.flakeScore > 0.09 && flakiness.flakeScore < flakiness.failureRate);
+    assert.deepStrictEqual(flakiness.changePoint, { day: 3, date: '2025-01-04', rateBefore: 0, rateAfter: 0.3, direction: 'worse' });
+
+    // Steady failure rates have no change point
+    data.testRuns[0][1] = { days: [0, 1, 1, 1, 1, 1], counts: [2, 2, 2, 2, 2, 2], messageIds: [0, 0, 0, 0, 0, 0] };
+    assert.strictEqual(computeTestFlakiness(data, 0).changePoint, null);
+
+    assert.ok(computeFlakeScore(10, 1) < computeFlakeScore(1000, 100));
+    assert.strictEqual(computeFlakeScore(0, 0), 0);
+    assert.strictEqual(computeTestFlakiness({ ...data, metadata: { date: '2025-01-01' } }, 0), null);
+});
+
+test('regression ranges go from the last passing push to the first failing one', () => {
+    // Runs of test_b.js on pushes 1 to 4, failing from push 3 on one of its
+    // configurations, after an intermittent failure on push 1
+    function makePushResult(taskId, jobName, pushId, status, offset) {
+        return Object.assign(makeJobResult(taskId, jobName, [{ path: 'dom/base/test/test_b.js', status, offset }]), {
+            revision: `rev${pushId}`, pushId, pushTimestamp: START_TIME + pushId * 600
+        });
+    }
+    const linux = 'test-linux1804-64/opt-xpcshell-1';
+    const windows = 'test-windows11-64/opt-xpcshell-1';
+    const data = encode([
+        makePushResult('task1', linux, 1, 'FAIL', 700),
+        makePushResult('task2', windows, 1, 'PASS', 700),
+        makePushResult('task3', linux, 2, 'PASS', 1300),
+        makePushResult('task4', windows, 2, 'PASS', 1300),
+        makePushResult('task5', linux, 3, 'FAIL', 1900),
+        makePushResult('task6', windows, 3, 'PASS', 1900),
+        makePushResult('task7', linux, 4, 'FAIL', 2500)
+    ]);
+
+    const runs = getTestPushRuns(data, 'dom/base/test/test_b.js');
+    assert.strictEqual(runs.length, 7);
+    assert.deepStrictEqual(runs.find(run => run.pushId === 3 && run.status === 'FAIL'),
+        { status: 'FAIL', time: START_TIME + 1900, repository: 'mozilla-central', revision: 'rev3', pushId: 3, pushTimestamp: START_TIME + 1800 });
+
+    const range = findRegressionRange(runs, START_TIME + 1000);
+    assert.strictEqual(range.repository, 'mozilla-central');
+    assert.deepStrictEqual([range.lastPass.revision, range.lastPass.runs], ['rev2', 2]);
+    assert.deepStrictEqual([range.firstFail.revision, range.firstFail.runs, range.firstFail.failures], ['rev3', 2, 1]);
+    assert.strictEqual(getTreeherderPushRangeUrl(range.repository, range.lastPass.revision, range.firstFail.revision),
+        'https://treeherder.mozilla.org/jobs?repo=mozilla-central&fromchange=rev2&tochange=rev3');
+
+    // Counting the earlier intermittent failure, there is no passing push before it
+    assert.strictEqual(findRegressionRange(runs, START_TIME).lastPass, null);
+    assert.strictEqual(findRegressionRange(runs.filter(run => run.status === 'PASS'), START_TIME), null);
+});
@@ -0,0 +1,98 @@
+// Synthetic job results and their encoding into data files, shared by the
+// tests of the generator and of the helpers reading the data back
+
+const {
+    createDataTables,
+    sortStringTablesByFrequency,
+    compressTestRunTimestamps
+} = require('../fetch-xpcshell-data.js');
+
+// 2025-01-01T00:00:00Z, in seconds
+const START_TIME = 1735689600;
+
+function makeJobResult(taskId, jobName, timings) {
+    return {
+        jobName,
+        taskId,
+        retryId: 0,
+        repository: 'mozilla-central',
+        startTime: START_TIME,
+        timings: timings.map(timing => ({
+            duration: 1000,
+            ...timing,
+            timestamp: (START_TIME + timing.offset) * 1000
+        }))
+    };
+}
+
+function makeJobResults() {
+    return [
+        makeJobResult('taskA', 'test-linux1804-64/opt-xpcshell-1', [
+            { path: 'dom/base/test/test_a.js', status: 'PASS', offset: 30 },
+            { path: 'dom/base/test/test_b.js', status: 'FAIL', message: 'assertion failed', offset: 10 },
+            { path: 'netwerk/test/test_c.js', status: 'SKIP', message: 'skip-if: os == "linux"', offset: 0, duration: 0 }
+        ]),
+        makeJobResult('taskB', 'test-windows11-64/opt-xpcshell-1', [
+            { path: 'dom/base/test/test_a.js', status: 'PASS', offset: 20 },
+            { path: 'dom/base/test/test_b.js', status: 'CRASH', crashSignature: 'mozilla::Foo', minidump: 'abc', offset: 40 },
+            { path: 'netwerk/test/test_c.js', status: 'SKIP', message: 'run-if: os == "mac"', offset: 5, duration: 0 }
+        ]),
+        makeJobResult('taskC', 'test-linux1804-64/opt-xpcshell-2', [
+            { path: 'dom/base/test/test_a.js', status: 'PASS', offset: 10 },
+            { path: 'dom/base/test/test_b.js', status: 'PASS', offset: 50 }
+        ])
+    ];
+}
+
+// Encode job results the same way processJobsAndCreateData does
+function encode(jobResults) {
+    const dataStructure = sortStringTablesByFrequency(createDataTables(jobResults));
+    compressTestRunTimestamps(dataStructure.testRuns, START_TIME);
+    return {
+        metadata: { date: '2025-01-01', startTime: START_TIME },
+        ...dataStructure
+    };
+}
+
+// Add all the tests of a daily file to a multi-day builder
+// (createHistoricalDataBuilder) as the runs of a day
+function addDailyData(builder, data, day) {
+    for (let testId = 0; testId < data.testRuns.length; testId++) {
+        const dirPath = data.tables.testPaths[data.testInfo.testPathIds[testId]];
+        const testName = data.tables.testNames[data.testInfo.testNameIds[testId]];
+        builder.addTestRuns(data, testId, `${dirPath}/${testName}`, day);
+    }
+}
+
+// Decode the runs of one test back to plain objects, sorted by time
+function decodeRuns(data, testId) {
+    const runs = [];
+    data.testRuns[testId].forEach((statusGroup, statusId) => {
+        if (!statusGroup) return;
+        let timestamp = 0;
+        for (let i = 0; i < statusGroup.taskIdIds.length; i++) {
+            timestamp += statusGroup.timestamps[i];
+            const messageId = statusGroup.messageIds?.[i];
+            const crashSignatureId = statusGroup.crashSignatureIds?.[i];
+            runs.push({
+                status: data.tables.statuses[statusId],
+                taskId: data.tables.taskIds[statusGroup.taskIdIds[i]],
+                timestamp,
+                duration: statusGroup.durations[i],
+                message: messageId === null || messageId === undefined ? null : data.tables.messages[messageId],
+                crashSignature: crashSignatureId === null || crashSignatureId === undefined ? null : data.tables.crashSignatures[crashSignatureId],
+                minidump: statusGroup.minidumps?.[i] ?? null
+            });
+        }
+    });
+    return runs.sort((a, b) => a.timestamp - b.timestamp || a.taskId.localeCompare(b.taskId));
+}
+
+module.exports = {
+    START_TIME,
+    makeJobResult,
+    makeJobResults,
+    encode,
+    addDailyData,
+    decodeRuns
+};
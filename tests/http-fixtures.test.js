@@ -0,0 +1,113 @@
+// Tests for the HTTP record/replay layer and golden files (http-fixtures.js),
+// and a replay of the synthetic fixture set in tests/fixtures/replay
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { installFixtureFetch, findFirstDifference, checkGoldenFile } = require('../http-fixtures.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'replay');
+const GOLDEN_FILE = path.join(__dirname, 'fixtures', 'replay-golden.json');
+
+async function withTempDir(callback) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+    try {
+        await callback(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Run a test with globalThis.fetch restored afterwards
+async function withFetch(fetch, callback) {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = fetch;
+    try {
+        await callback();
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+}
+
+test('recorded responses are replayed without touching the network', async () => {
+    await withTempDir(async dir => {
+        const requests = [];
+        await withFetch(async url => {
+            requests.push(url);
+            return url.endsWith('/missing')
+                ? new Response('not found', { status: 404, statusText: 'Not Found' })
+                : new Response('{"rows":[1,2]}', { status: 200, headers: { 'content-type': 'application/json' } });
+        }, async () => {
+            installFixtureFetch({ mode: 'record', dir: path.join(dir, 'recorded') });
+            assert.deepStrictEqual(await (await fetch('https://example.com/data?id=1')).json(), { rows: [1, 2] });
+            assert.strictEqual((await fetch('https://example.com/missing')).status, 404);
+        });
+        assert.strictEqual(fs.readdirSync(path.join(dir, 'recorded')).length, 2);
+
+        await withFetch(async url => {
+            throw new Error(`Network fetch of ${url} while replaying`);
+        }, async () => {
+            installFixtureFetch({ mode: 'replay', dir: path.join(dir, 'recorded') });
+            const response = await fetch(new Request('https://example.com/data?id=1'));
+            assert.strictEqual(response.headers.get('content-type'), 'application/json');
+            assert.deepStrictEqual(await response.json(), { rows: [1, 2] });
+
+            const missing = await fetch('https://example.com/missing');
+            assert.strictEqual(missing.status, 404);
+            assert.strictEqual(missing.statusText, 'Not Found');
+            assert.strictEqual(await missing.text(), 'not found');
+
+            await assert.rejects(fetch('https://example.com/data?id=2'), /No recorded response for https:\/\/example\.com\/data\?id=2/);
+        });
+        assert.deepStrictEqual(requests, ['https://example.com/data?id=1', 'https://example.com/missing']);
+    });
+});
+
+test('findFirstDifference gives the path of the first differing value', () => {
+    assert.strictEqual(findFirstDifference({ a: [1, { b: 'x' }] }, { a: [1, { b: 'x' }] }), null);
+    assert.strictEqual(findFirstDifference({ a: [1, { b: 'x' }] }, { a: [1, { b: 'y' }] }), 'a[1].b: "x" !== "y"');
+    assert.strictEqual(findFirstDifference({ a: [1, 2] }, { a: [1, 2, 3] }), 'a: length 2 !== 3');
+    assert.strictEqual(findFirstDifference({ a: 1 }, { a: 1, b: null }), 'b: undefined !== null');
+    assert.strictEqual(findFirstDifference({ a: [1] }, { a: { 0: 1 } }), 'a: [1] !== {"0":1}');
+    assert.strictEqual(findFirstDifference(1, 2), '(root): 1 !== 2');
+});
+
+test('checkGoldenFile ignores generatedAt and reports differences', async () => {
+    await withTempDir(async dir => {
+        const goldenFile = path.join(dir, 'golden.json');
+        const data = { metadata: { date: '2025-01-15', generatedAt: '2025-01-16T00:00:00.000Z' }, testRuns: [[null, { durations: [10] }]] };
+
+        assert.strictEqual(checkGoldenFile(data, goldenFile), false);
+        assert.strictEqual(checkGoldenFile(data, goldenFile, true), true);
+        assert.ok(!fs.readFileSync(goldenFile, 'utf-8').includes('generatedAt'));
+
+        const regenerated = { ...data, metadata: { ...data.metadata, generatedAt: '2025-02-01T00:00:00.000Z' } };
+        assert.strictEqual(checkGoldenFile(regenerated, goldenFile), true);
+
+        const changed = { ...data, testRuns: [[null, { durations: [11] }]] };
+        assert.strictEqual(checkGoldenFile(changed, goldenFile), false);
+    });
+});
+
+// After an intended change of the output, regenerate the golden file by
+// running the same command with --update-golden (see README.md). It runs in a
+// time zone other than UTC, as the fixtures' job times have no offset and must
+// still be read as UTC.
+test('replaying the fixture set reproduces the golden output', async () => {
+    await withTempDir(async dir => {
+        const result = spawnSync(process.execPath, [
+            path.join(__dirname, '..', 'fetch-xpcshell-data.js'),
+            '--replay', FIXTURES_DIR,
+            '--date', '2025-01-15',
+            '--golden', GOLDEN_FILE
+        ], { cwd: dir, encoding: 'utf-8', timeout: 60000, env: { ...process.env, TZ: 'America/New_York' } });
+
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.match(result.stdout, /Output matches golden file/);
+        assert.ok(fs.existsSync(path.join(dir, 'xpcshell-data', 'xpcshell-2025-01-15.json')));
+    });
+});
@@ -0,0 +1,33 @@
+// Tests for --incremental, which decodes the existing daily file back to job
+// results to merge them with new jobs
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { decodeDailyData } = require('../fetch-xpcshell-data.js');
+const { findTest } = require('../common-test-data.js');
+const { makeJobResults, encode, decodeRuns } = require('./helpers.js');
+
+test('decodeDailyData gives back job results that merge with new jobs', () => {
+    const [taskA, taskB, taskC] = makeJobResults();
+    const full = encode([taskA, taskB, taskC]);
+
+    // Incremental regeneration: decode the file made from the first jobs,
+    // then encode it again with a late job
+    const merged = encode([...decodeDailyData(encode([taskA, taskB])), taskC]);
+
+    assert.deepStrictEqual(merged.tables.taskIds.slice().sort(), full.tables.taskIds.slice().sort());
+    for (const fullPath of ['dom/base/test/test_a.js', 'dom/base/test/test_b.js', 'netwerk/test/test_c.js']) {
+        assert.deepStrictEqual(
+            decodeRuns(merged, findTest(merged, fullPath).testId),
+            decodeRuns(full, findTest(full, fullPath).testId)
+        );
+    }
+
+    const decodedA = decodeDailyData(full).find(result => result.taskId === 'taskA');
+    assert.strictEqual(decodedA.jobName, 'test-linux1804-64/opt-xpcshell-1');
+    assert.strictEqual(decodedA.retryId, 0);
+    assert.deepStrictEqual(decodedA.timings.map(timing => timing.path), [
+        'netwerk/test/test_c.js', 'dom/base/test/test_b.js', 'dom/base/test/test_a.js'
+    ]);
+});
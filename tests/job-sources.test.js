@@ -0,0 +1,89 @@
+// Tests for the job sources the generator finds jobs with
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createRedashJobSource, createTreeherderJobSource, createFileJobSource, parseJobSourceArg } = require('../job-sources.js');
+
+function makeJob(taskId, pushId, startTime) {
+    return {
+        name: 'test-linux1804-64/opt-xpcshell-1',
+        task_id: taskId,
+        retry_id: 0,
+        start_time: startTime,
+        repository: 'autoland',
+        revision: `${pushId}`.repeat(12),
+        push_id: pushId,
+        push_timestamp: 1735689600 + pushId * 60
+    };
+}
+
+test('file job sources read NDJSON job lists and find their pushes', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-sources-'));
+    const filePath = path.join(dir, 'jobs.ndjson');
+    const jobs = [
+        makeJob('taskA', 1, '2025-01-01T10:00:00'),
+        makeJob('taskB', 2, '2025-01-01T23:00:00'),
+        makeJob('taskC', 3, '2025-01-02T01:00:00')
+    ];
+    fs.writeFileSync(filePath, jobs.map(job => JSON.stringify(job)).join('\n') + '\n');
+
+    try {
+        const source = createFileJobSource(filePath);
+        assert.deepStrictEqual((await source.fetchDateJobs('2025-01-01')).map(job => job.task_id), ['taskA', 'taskB']);
+
+        const push = await source.fetchPush('autoland', '222222');
+        assert.deepStrictEqual(push, { id: 2, revision: '2'.repeat(12), push_timestamp: 1735689720 });
+        assert.deepStrictEqual((await source.fetchPushJobs('autoland', push)).map(job => job.task_id), ['taskB']);
+
+        const pushes = await source.fetchPushRange('autoland', '2'.repeat(12), '3'.repeat(12));
+        assert.deepStrictEqual(pushes.map(candidate => candidate.id), [2, 3]);
+        await assert.rejects(source.fetchPush('try', '111111'), /No push found/);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('the Redash job source fetches the jobs of several days at once', async t => {
+    const rows = [
+        makeJob('taskA', 1, '2025-01-01T10:00:00'),
+        makeJob('taskB', 2, '2025-01-02T01:00:00'),
+        makeJob('taskC', 3, '2025-01-03T01:00:00')
+    ];
+    const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ query_result: { data: { rows } } })));
+
+    const source = createRedashJobSource('https://redash.example.org/results.json');
+    const jobsByDate = await source.fetchDatesJobs(['2024-12-31', '2025-01-01', '2025-01-02']);
+    assert.strictEqual(fetchMock.mock.callCount(), 1);
+    assert.deepStrictEqual([...jobsByDate.keys()], ['2025-01-01', '2025-01-02']);
+    assert.deepStrictEqual(jobsByDate.get('2025-01-02').map(job => job.task_id), ['taskB']);
+});
+
+test('the Treeherder job source follows the pages of job lists', async t => {
+    const pages = {
+        'https://treeherder.example.org/api/jobs/?push_id=7': {
+            job_property_names: ['job_type_name', 'task_id', 'retry_id', 'last_modified'],
+            results: [['test-linux1804-64/opt-xpcshell-1', 'taskA', 0, '2025-01-01T10:00:00']],
+            next: 'https://treeherder.example.org/api/jobs/?push_id=7&page=2'
+        },
+        'https://treeherder.example.org/api/jobs/?push_id=7&page=2': {
+            results: [['test-windows11-64/opt-xpcshell-1', 'taskB', 1, '2025-01-01T11:00:00']],
+            next: null
+        }
+    };
+    t.mock.method(globalThis, 'fetch', async url => new Response(JSON.stringify(pages[url]), { status: pages[url] ? 200 : 404 }));
+
+    const source = createTreeherderJobSource('https://treeherder.example.org/');
+    const push = { id: 7, revision: 'abc', push_timestamp: 1735689600 };
+    const jobs = await source.fetchPushJobs('autoland', push);
+    assert.deepStrictEqual(jobs.map(job => [job.task_id, job.retry_id, job.push_id]), [['taskA', 0, 7], ['taskB', 1, 7]]);
+});
+
+test('--job-source values fall back to Redash for dates and Treeherder for pushes', () => {
+    assert.strictEqual(parseJobSourceArg(null).name, 'redash, treeherder');
+    assert.strictEqual(parseJobSourceArg('treeherder:https://mirror.example.org').name, 'treeherder, redash, treeherder');
+    assert.throws(() => parseJobSourceArg('bigquery'), /Unknown job source/);
+});
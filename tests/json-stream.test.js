@@ -0,0 +1,75 @@
+// Tests for the streaming JSON parser used to read resource profiles
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createJsonStreamParser, parseJsonStream } = require('../json-stream.js');
+
+const PROFILE = {
+    meta: { startTime: 1735689600000, logicalCPUs: 8, product: 'Firefox — "nightly"' },
+    threads: [
+        {
+            name: 'GeckoMain',
+            samples: { stack: [1, 2, null], time: [0.5, 1e3, -2.5e-3] },
+            stringArray: ['test', 'CPU Use', 'with \\ "escapes" and é😀', ''],
+            markers: {
+                length: 2,
+                name: [0, 1],
+                startTime: [10, 20.5],
+                endTime: [15, null],
+                category: [1, 1],
+                data: [{ type: 'Test', test: 'a.js', status: 'PASS' }, { type: 'CPU', cpuPercent: '12.5%', nested: [[], {}] }]
+            }
+        },
+        { name: 'other', stringArray: ['skipped'], markers: { length: 0 } }
+    ],
+    pages: [{ url: 'about:blank', flags: [true, false] }]
+};
+
+const SELECTION = {
+    meta: true,
+    threads: { 0: { stringArray: true, markers: { length: true, name: true, startTime: true, endTime: true, data: true } } }
+};
+
+const EXPECTED = {
+    meta: PROFILE.meta,
+    threads: [{
+        stringArray: PROFILE.threads[0].stringArray,
+        markers: {
+            length: 2,
+            name: [0, 1],
+            startTime: [10, 20.5],
+            endTime: [15, null],
+            data: PROFILE.threads[0].markers.data
+        }
+    }]
+};
+
+test('the streaming parser only keeps the selected parts, however the document is split', () => {
+    const text = JSON.stringify(PROFILE, null, 1);
+    for (const chunkSize of [1, 2, 7, 64, text.length]) {
+        const parser = createJsonStreamParser(SELECTION);
+        for (let i = 0; i < text.length; i += chunkSize) {
+            parser.write(text.substring(i, i + chunkSize));
+        }
+        assert.deepStrictEqual(parser.end(), EXPECTED, `chunks of ${chunkSize} characters`);
+    }
+});
+
+test('the streaming parser decodes byte chunks split inside characters', async () => {
+    const bytes = Buffer.from(JSON.stringify(PROFILE));
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 3) {
+        chunks.push(bytes.subarray(i, i + 3));
+    }
+    assert.deepStrictEqual(await parseJsonStream(chunks, SELECTION), EXPECTED);
+    assert.deepStrictEqual(await parseJsonStream([JSON.stringify(PROFILE)], { pages: true }), { pages: PROFILE.pages });
+});
+
+test('the streaming parser rejects malformed and truncated documents', async () => {
+    await assert.rejects(parseJsonStream(['{"meta": {"a": 1,}}'], SELECTION), SyntaxError);
+    await assert.rejects(parseJsonStream(['{"meta": tru}'], SELECTION), SyntaxError);
+    await assert.rejects(parseJsonStream(['{"meta": {"a": [1, 2'], SELECTION), /Unexpected end/);
+    await assert.rejects(parseJsonStream(['{"samples": {"a": "unterminated'], SELECTION), /Unexpected end/);
+    await assert.rejects(parseJsonStream(['{} {}'], SELECTION), /after the end/);
+});
@@ -0,0 +1,62 @@
+// Tests for the skip-if/run-if conditions of skipped tests, in the daily and
+// multi-day files (see tests/profile-worker.test.js for their parsing)
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHistoricalDataBuilder, decodeDailyData } = require('../fetch-xpcshell-data.js');
+const { findTest } = require('../common-test-data.js');
+const { validateDataFile } = require('../validate-data.js');
+const { makeJobResults, encode } = require('./helpers.js');
+
+test('manifest conditions of skips are stored in their own table', () => {
+    const [taskA, taskB, taskC] = makeJobResults();
+    Object.assign(taskA.timings[2], { conditionType: 'skip-if', condition: 'os == "linux"' });
+    Object.assign(taskB.timings[2], { conditionType: 'run-if', condition: 'os == "mac"' });
+    const data = encode([taskA, taskB, taskC]);
+    assert.deepStrictEqual(validateDataFile(data, 'daily'), []);
+
+    const skipGroup = data.testRuns[findTest(data, 'netwerk/test/test_c.js').testId][data.tables.statuses.indexOf('SKIP')];
+    assert.deepStrictEqual(skipGroup.conditionIds.map(id => data.tables.conditions[id]),
+        ['skip-if: os == "linux"', 'run-if: os == "mac"']);
+    // Only skips have conditions
+    const failGroup = data.testRuns[findTest(data, 'dom/base/test/test_b.js').testId][data.tables.statuses.indexOf('FAIL')];
+    assert.strictEqual(failGroup.conditionIds, undefined);
+
+    const decodedA = decodeDailyData(data).find(result => result.taskId === 'taskA');
+    const skip = decodedA.timings.find(timing => timing.status === 'SKIP');
+    assert.deepStrictEqual([skip.conditionType, skip.condition], ['skip-if', 'os == "linux"']);
+
+    const builder = createHistoricalDataBuilder(false);
+    builder.addTestRuns(data, findTest(data, 'netwerk/test/test_c.js').testId, 'netwerk/test/test_c.js', 0);
+    const aggregated = builder.finish({ days: 1 });
+    assert.deepStrictEqual(validateDataFile(aggregated, 'issues'), []);
+    const aggregatedGroup = aggregated.testRuns[0][aggregated.tables.statuses.indexOf('SKIP')];
+    assert.deepStrictEqual(aggregatedGroup.conditionIds.map(id => aggregated.tables.conditions[id]),
+        ['skip-if: os == "linux"', 'run-if: os == "mac"']);
+});
+
+test('manifest conditions stay with their runs when runs are sorted by time', () => {
+    // taskB's skip is listed first but ran after taskA's
+    const [taskA, taskB] = makeJobResults();
+    Object.assign(taskA.timings[2], { message: "skip-if: os == 'linux' # Bug 1", conditionType: 'skip-if', condition: 'os == "linux"' });
+    Object.assign(taskB.timings[2], { message: 'run-if: debug', conditionType: 'run-if', condition: 'debug' });
+    const data = encode([taskB, taskA]);
+
+    const skipGroup = data.testRuns[findTest(data, 'netwerk/test/test_c.js').testId][data.tables.statuses.indexOf('SKIP')];
+    assert.deepStrictEqual(skipGroup.taskIdIds.map(id => data.tables.taskIds[id]), ['taskA.0', 'taskB.0']);
+    assert.deepStrictEqual(skipGroup.messageIds.map(id => data.tables.messages[id]), ["skip-if: os == 'linux' # Bug 1", 'run-if: debug']);
+    assert.deepStrictEqual(skipGroup.conditionIds.map(id => data.tables.conditions[id]), ['skip-if: os == "linux"', 'run-if: debug']);
+
+    // Each bucket of the multi-day files gets the condition of its message
+    const builder = createHistoricalDataBuilder(false);
+    builder.addTestRuns(data, findTest(data, 'netwerk/test/test_c.js').testId, 'netwerk/test/test_c.js', 0);
+    const aggregated = builder.finish({ days: 1 });
+    const aggregatedGroup = aggregated.testRuns[0][aggregated.tables.statuses.indexOf('SKIP')];
+    const conditionsByMessage = Object.fromEntries(aggregatedGroup.messageIds.map((messageId, i) =>
+        [aggregated.tables.messages[messageId], aggregated.tables.conditions[aggregatedGroup.conditionIds[i]]]));
+    assert.deepStrictEqual(conditionsByMessage, {
+        "skip-if: os == 'linux' # Bug 1": 'skip-if: os == "linux"',
+        'run-if: debug': 'run-if: debug'
+    });
+});
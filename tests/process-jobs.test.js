@@ -0,0 +1,69 @@
+// Tests for the worker pool processing jobs (processJobsWithWorkers), with a
+// stub worker script in place of profile-worker.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { processJobsWithWorkers } = require('../fetch-xpcshell-data.js');
+
+const STUB_WORKER = path.join(__dirname, 'fixtures', 'stub-worker.js');
+
+// Run a test with a temporary directory holding the stub worker's log
+async function withStubWorkerLog(callback) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'process-jobs-'));
+    process.env.STUB_WORKER_LOG = path.join(dir, 'jobs.log');
+    fs.writeFileSync(process.env.STUB_WORKER_LOG, '');
+    try {
+        await callback(dir, () => fs.readFileSync(process.env.STUB_WORKER_LOG, 'utf-8').split('\n').filter(Boolean));
+    } finally {
+        delete process.env.STUB_WORKER_LOG;
+        delete process.env.STUB_WORKER_FAIL_START;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('jobs of crashed workers are queued again, and given up on after the last attempt', async () => {
+    await withStubWorkerLog(async (dir, readLog) => {
+        const jobs = [
+            { task_id: 'ok1' },
+            { task_id: 'flaky', crash: 'once', markerFile: path.join(dir, 'flaky') },
+            { task_id: 'broken', crash: 'always', retry_id: 2 },
+            { task_id: 'ok2' }
+        ];
+        const { results, failedTaskIds } = await processJobsWithWorkers(jobs, false, null, false, {
+            workerScript: STUB_WORKER,
+            workerCount: 2,
+            maxJobAttempts: 3,
+            profileCacheDir: null
+        });
+
+        assert.deepStrictEqual(results.map(result => result.taskId).sort(), ['flaky', 'ok1', 'ok2']);
+        assert.deepStrictEqual(failedTaskIds, ['broken.2']);
+        const attempts = taskId => readLog().filter(line => line === taskId).length;
+        assert.strictEqual(attempts('flaky'), 2);
+        assert.strictEqual(attempts('broken'), 3);
+        assert.strictEqual(attempts('ok1'), 1);
+    });
+});
+
+test('a worker failing to start stops the other workers', async () => {
+    await withStubWorkerLog(async (dir, readLog) => {
+        process.env.STUB_WORKER_FAIL_START = path.join(dir, 'failed-start');
+        const jobs = Array.from({ length: 200 }, (_, i) => ({ task_id: `task${i}` }));
+
+        await assert.rejects(processJobsWithWorkers(jobs, false, null, false, {
+            workerScript: STUB_WORKER,
+            workerCount: 3,
+            profileCacheDir: null
+        }), /Worker \d failed to start: stub worker failing to start/);
+
+        // The healthy workers don't go on with the queue
+        const processed = readLog().length;
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.strictEqual(readLog().length, processed);
+        assert.ok(processed < jobs.length);
+    });
+});
@@ -0,0 +1,60 @@
+// Tests for the profile cache management helpers
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { listCacheEntries, selectEntriesToPrune, pruneCache, verifyCacheEntry, parseSize, formatSize } = require('../profile-cache.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('pruning removes the least recently used profiles past the age and size limits', () => {
+    const now = Date.parse('2025-02-01T00:00:00Z');
+    const entries = [
+        { file: 'c-0.json.gz', size: 300, mtimeMs: now - 1 * DAY },
+        { file: 'a-0.json.gz', size: 100, mtimeMs: now - 40 * DAY },
+        { file: 'b-1.json.gz', size: 200, mtimeMs: now - 10 * DAY }
+    ];
+    const files = pruned => pruned.map(entry => entry.file);
+
+    assert.deepStrictEqual(files(selectEntriesToPrune(entries, { maxAgeMs: 30 * DAY, now })), ['a-0.json.gz']);
+    assert.deepStrictEqual(files(selectEntriesToPrune(entries, { maxBytes: 300, now })), ['a-0.json.gz', 'b-1.json.gz']);
+    assert.deepStrictEqual(files(selectEntriesToPrune(entries, { maxAgeMs: 5 * DAY, maxBytes: 1000, now })), ['a-0.json.gz', 'b-1.json.gz']);
+    assert.deepStrictEqual(selectEntriesToPrune(entries, { now }), []);
+});
+
+test('cache entries are listed, verified and pruned on disk', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-cache-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'taskA-0.json.gz'), zlib.gzipSync(JSON.stringify({ meta: {}, threads: [] })));
+        fs.writeFileSync(path.join(dir, 'taskB-2.json.gz'), zlib.gzipSync('{"meta": {"startTime": 1'));
+        fs.writeFileSync(path.join(dir, 'taskC-0.json.gz'), 'not gzipped');
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a profile');
+        const old = new Date(Date.now() - 60 * DAY);
+        fs.utimesSync(path.join(dir, 'taskB-2.json.gz'), old, old);
+
+        const entries = listCacheEntries(dir);
+        assert.deepStrictEqual(entries.map(entry => [entry.taskId, entry.retryId]), [['taskB', 2], ['taskA', 0], ['taskC', 0]]);
+
+        assert.strictEqual(await verifyCacheEntry(path.join(dir, 'taskA-0.json.gz')), null);
+        assert.match(await verifyCacheEntry(path.join(dir, 'taskB-2.json.gz')), /Unexpected end/);
+        assert.ok(await verifyCacheEntry(path.join(dir, 'taskC-0.json.gz')));
+
+        assert.strictEqual(pruneCache(dir, { maxAgeMs: 30 * DAY }).removed, 1);
+        assert.deepStrictEqual(listCacheEntries(dir).map(entry => entry.taskId).sort(), ['taskA', 'taskC']);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('cache sizes are parsed and formatted with binary units', () => {
+    assert.strictEqual(parseSize('20G'), 20 * 1024 ** 3);
+    assert.strictEqual(parseSize('1.5MB'), 1.5 * 1024 ** 2);
+    assert.strictEqual(parseSize('512'), 512);
+    assert.strictEqual(parseSize('lots'), null);
+    assert.strictEqual(formatSize(3 * 1024 ** 3), '3.0 GB');
+    assert.strictEqual(formatSize(12), '12 B');
+});
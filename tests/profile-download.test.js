@@ -0,0 +1,114 @@
+// Tests for the profile downloads of profile-worker.js: retries with backoff,
+// the cap on downloads in flight across workers and the reporting of failed
+// tasks, with a mocked fetch (see fixtures/mock-fetch-worker.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { processJobsWithWorkers } = require('../fetch-xpcshell-data.js');
+const { isRetryableStatus, getRetryDelay } = require('../profile-worker.js');
+
+const MOCK_FETCH_WORKER = path.join(__dirname, 'fixtures', 'mock-fetch-worker.js');
+
+function makeJob(taskId) {
+    return {
+        name: 'test-linux1804-64/opt-xpcshell-1',
+        task_id: taskId,
+        retry_id: 0,
+        start_time: '2025-01-15T08:00:00',
+        repository: 'autoland'
+    };
+}
+
+// Process jobs with the mocked fetch, returning the processing result and the
+// fetch log lines
+async function processWithMockFetch(jobs, options, delayMs = 0) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-download-'));
+    process.env.MOCK_FETCH_LOG = path.join(dir, 'fetch.log');
+    process.env.MOCK_FETCH_DELAY_MS = String(delayMs);
+    fs.writeFileSync(process.env.MOCK_FETCH_LOG, '');
+    try {
+        const output = await processJobsWithWorkers(jobs, false, null, false, {
+            workerScript: MOCK_FETCH_WORKER,
+            profileCacheDir: null,
+            ...options
+        });
+        const log = fs.readFileSync(process.env.MOCK_FETCH_LOG, 'utf-8').split('\n').filter(Boolean);
+        return { ...output, log };
+    } finally {
+        delete process.env.MOCK_FETCH_LOG;
+        delete process.env.MOCK_FETCH_DELAY_MS;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('rate limiting and server errors are retried, other errors are not', () => {
+    assert.ok(isRetryableStatus(429));
+    assert.ok(isRetryableStatus(500));
+    assert.ok(isRetryableStatus(503));
+    assert.ok(!isRetryableStatus(404));
+    assert.ok(!isRetryableStatus(403));
+});
+
+test('retry delays back off exponentially, unless the server gives one', () => {
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const delay = getRetryDelay(attempt, null);
+        assert.ok(delay >= 1000 * 2 ** attempt && delay <= 1500 * 2 ** attempt, `attempt ${attempt}: ${delay}`);
+    }
+    assert.strictEqual(getRetryDelay(10, null), 60000);
+    assert.strictEqual(getRetryDelay(0, '5'), 5000);
+    assert.strictEqual(getRetryDelay(0, '0'), 0);
+    assert.strictEqual(getRetryDelay(0, '3600'), 60000);
+});
+
+test('failed downloads are retried, and reported once all attempts failed', async () => {
+    const jobs = ['unavailable1', 'ratelimited1', 'missing1', 'ok1'].map(makeJob);
+    const { results, failedTaskIds, log } = await processWithMockFetch(jobs, { workerCount: 2, fetchRetries: 2 });
+
+    const requests = taskId => log.filter(line => line === `start ${taskId}`).length;
+    assert.strictEqual(requests('unavailable1'), 3);
+    assert.strictEqual(requests('ratelimited1'), 3);
+    assert.strictEqual(requests('missing1'), 1);
+    assert.strictEqual(requests('ok1'), 1);
+
+    // A missing profile is not a failure, the job just has no results
+    assert.deepStrictEqual(results.map(result => result.taskId).sort(), ['ok1', 'unavailable1']);
+    assert.deepStrictEqual(failedTaskIds, ['ratelimited1.0']);
+});
+
+test('profiles that fail to be processed are retried like crashes, not reported as failed downloads', async () => {
+    const jobs = ['malformed1', 'ok1'].map(makeJob);
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+        const { results, failedTaskIds, log } = await processWithMockFetch(jobs, { workerCount: 1, maxJobAttempts: 2 });
+
+        assert.strictEqual(log.filter(line => line === 'start malformed1').length, 2);
+        assert.deepStrictEqual(results.map(result => result.taskId), ['ok1']);
+        assert.deepStrictEqual(failedTaskIds, ['malformed1.0']);
+    } finally {
+        console.warn = originalWarn;
+    }
+    assert.ok(warnings.some(warning => /crashed: Failed to process task malformed1: TypeError/.test(warning)), warnings.join('\n'));
+    assert.ok(!warnings.some(warning => warning.includes('Failed to fetch profile')), warnings.join('\n'));
+});
+
+test('downloads in flight are capped across all the workers', async () => {
+    const jobs = Array.from({ length: 12 }, (_, i) => makeJob(`ok${i}`));
+    const { results, failedTaskIds, log } = await processWithMockFetch(jobs, { workerCount: 3, maxConcurrentFetches: 2 }, 50);
+
+    assert.strictEqual(results.length, jobs.length);
+    assert.deepStrictEqual(failedTaskIds, []);
+
+    let inFlight = 0;
+    let maxInFlight = 0;
+    for (const line of log) {
+        inFlight += line.startsWith('start ') ? 1 : -1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+    }
+    assert.strictEqual(maxInFlight, 2);
+});
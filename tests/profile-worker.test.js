@@ -0,0 +1,65 @@
+// Tests for what profile-worker.js extracts from resource profiles
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { parseManifestCondition, extractSubtestResults, extractTestTimings } = require('../profile-worker.js');
+
+function loadProfile(fileName) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', fileName), 'utf-8'));
+}
+
+test('manifest conditions are parsed out of skip messages', () => {
+    assert.deepStrictEqual(parseManifestCondition("skip-if: os == 'linux' && debug # Bug 123"),
+        { type: 'skip-if', expression: 'os == "linux" && debug' });
+    assert.deepStrictEqual(parseManifestCondition("run-if: os == 'android'"),
+        { type: 'run-if', expression: 'os == "android"' });
+    assert.deepStrictEqual(parseManifestCondition('fail-if:  os == "win"   &&  processor == "aarch64"  # bug 1867474'),
+        { type: 'fail-if', expression: 'os == "win" && processor == "aarch64"' });
+
+    // Only the first line is the condition
+    assert.deepStrictEqual(parseManifestCondition("skip-if: tsan\nsee https://bugzil.la/1234567"),
+        { type: 'skip-if', expression: 'tsan' });
+
+    // The same condition written differently in two manifests is grouped
+    assert.deepStrictEqual(parseManifestCondition("skip-if: os == 'mac'"), parseManifestCondition('skip-if: os  ==  "mac" # Bug 42'));
+});
+
+test('messages without a manifest condition give null', () => {
+    assert.strictEqual(parseManifestCondition('Test timed out'), null);
+    assert.strictEqual(parseManifestCondition('disabled: Bug 123'), null);
+    assert.strictEqual(parseManifestCondition('skip-if: # Bug 123'), null);
+    assert.strictEqual(parseManifestCondition("reason: skip-if: os == 'linux'"), null);
+    assert.strictEqual(parseManifestCondition(null), null);
+    assert.strictEqual(parseManifestCondition(undefined), null);
+});
+
+test('failing subtests are extracted, passing and expected ones are left out', () => {
+    const { threads: [{ markers, stringArray }] } = loadProfile('subtests-profile.json');
+    assert.deepStrictEqual(extractSubtestResults(markers, stringArray), [
+        { testPath: 'dom/base/test/unit/test_subtests.js', time: 500, name: 'test_inside', status: 'FAIL', message: 'Expected 1,\ngot 2' },
+        { testPath: 'dom/base/test/unit/test_subtests.js', time: 1500, name: 'test_outside', status: 'FAIL', message: null },
+        { testPath: 'dom/base/test/unit/test_subtests.js', time: 2200, name: 'test_slow', status: 'TIMEOUT', message: null }
+    ]);
+});
+
+test('subtests are attached to the run of their test they happened during', () => {
+    const timings = extractTestTimings(loadProfile('subtests-profile.json'), 'test-linux1804-64/opt-xpcshell-1');
+
+    assert.deepStrictEqual(timings.map(({ path, status, duration, subtests }) => ({ path, status, duration, subtests })), [
+        {
+            path: 'dom/base/test/unit/test_subtests.js',
+            status: 'FAIL',
+            duration: 1000,
+            subtests: [{ name: 'test_inside', status: 'FAIL', message: 'Expected 1,\ngot 2' }]
+        },
+        {
+            path: 'dom/base/test/unit/test_subtests.js',
+            status: 'PASS',
+            duration: 500,
+            subtests: [{ name: 'test_slow', status: 'TIMEOUT' }]
+        }
+    ]);
+});
@@ -0,0 +1,30 @@
+// Tests for the push revisions, IDs and times of the jobs in the daily files,
+// and the Treeherder links made from them
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { decodeDailyData } = require('../fetch-xpcshell-data.js');
+const { getTreeherderJobUrl } = require('../common-links.js');
+const { validateDataFile } = require('../validate-data.js');
+const { START_TIME, makeJobResults, encode } = require('./helpers.js');
+
+test('push revisions give Treeherder job links and survive decoding', () => {
+    const [taskA, taskB, taskC] = makeJobResults();
+    Object.assign(taskA, { revision: 'abc123', pushId: 42, pushTimestamp: START_TIME - 3600 });
+    Object.assign(taskC, { revision: 'abc123', pushId: 42, pushTimestamp: START_TIME - 3600 });
+    const data = encode([taskA, taskB, taskC]);
+    assert.deepStrictEqual(validateDataFile(data, 'daily'), []);
+    assert.deepStrictEqual(data.tables.commitIds, ['abc123']);
+
+    assert.strictEqual(getTreeherderJobUrl({ taskId: 'taskA', retryId: 0 }, data),
+        'https://treeherder.mozilla.org/jobs?repo=mozilla-central&selectedTaskRun=taskA.0&revision=abc123');
+    // No link for jobs whose push isn't known
+    assert.strictEqual(getTreeherderJobUrl({ taskId: 'taskB', retryId: 0 }, data), null);
+
+    const decoded = decodeDailyData(data);
+    const decodedA = decoded.find(result => result.taskId === 'taskA');
+    assert.deepStrictEqual([decodedA.revision, decodedA.pushId, decodedA.pushTimestamp], ['abc123', 42, START_TIME - 3600]);
+    const decodedB = decoded.find(result => result.taskId === 'taskB');
+    assert.deepStrictEqual([decodedB.revision, decodedB.pushId, decodedB.pushTimestamp], [null, null, null]);
+});
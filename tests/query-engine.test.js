@@ -0,0 +1,79 @@
+// Tests for the SQL-like queries of the query console (query-engine.js) over
+// the tables of daily and multi-day data files
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHistoricalDataBuilder } = require('../fetch-xpcshell-data.js');
+const { createQueryTables, runQuery } = require('../query-engine.js');
+const { START_TIME, makeJobResults, encode, addDailyData } = require('./helpers.js');
+
+test('queries filter, group and aggregate the runs of daily and multi-day files', () => {
+    const daily = encode(makeJobResults());
+    const tables = createQueryTables(daily);
+
+    assert.deepStrictEqual(runQuery(tables, 'SELECT status, count(*) AS runs FROM runs GROUP BY status ORDER BY runs DESC, status'), {
+        columns: ['status', 'runs'],
+        rows: [['PASS', 4], ['SKIP', 2], ['CRASH', 1], ['FAIL', 1]],
+        totalRows: 4
+    });
+    assert.deepStrictEqual(runQuery(tables, "SELECT test, task, message FROM runs WHERE job ~ 'LINUX' AND NOT status = 'PASS' ORDER BY test").rows, [
+        ['dom/base/test/test_b.js', 'taskA.0', 'assertion failed'],
+        ['netwerk/test/test_c.js', 'taskA.0', 'skip-if: os == "linux"']
+    ]);
+    assert.deepStrictEqual(runQuery(tables, "SELECT count(DISTINCT test), avg(duration) FROM runs WHERE status LIKE 'pass%'").rows, [[2, 1000]]);
+    assert.deepStrictEqual(runQuery(tables, 'SELECT job, tasks, runs FROM jobs ORDER BY job LIMIT 1'), {
+        columns: ['job', 'tasks', 'runs'],
+        rows: [['test-linux1804-64/opt-xpcshell-1', 1, 3]],
+        totalRows: 3
+    });
+    assert.deepStrictEqual(runQuery(tables, 'SELECT test, failures, crashes, skips FROM tests WHERE skips > 0 OR crashes > 0 ORDER BY test').rows, [
+        ['dom/base/test/test_b.js', 1, 1, 0],
+        ['netwerk/test/test_c.js', 0, 0, 1]
+    ]);
+
+    // Multi-day files without task IDs count the runs of each bucket
+    const builder = createHistoricalDataBuilder(false);
+    addDailyData(builder, daily, 0);
+    addDailyData(builder, encode(makeJobResults().slice(0, 1)), 2);
+    const multiDay = createQueryTables(builder.finish({ days: 3, startTime: START_TIME }));
+    assert.deepStrictEqual(runQuery(multiDay, "SELECT date, count(*) AS passes FROM runs WHERE status = 'PASS' GROUP BY date ORDER BY date").rows, [
+        ['2025-01-01', 4],
+        ['2025-01-03', 1]
+    ]);
+    assert.deepStrictEqual(runQuery(multiDay, 'SELECT message, runs, tests FROM messages WHERE message ~ \'^assertion\'').rows, [['assertion failed', 2, 1]]);
+    assert.throws(() => runQuery(multiDay, 'SELECT * FROM tasks'), /needs task IDs/);
+    assert.throws(() => runQuery(multiDay, 'SELECT test, count(*) FROM runs'), /test must be in GROUP BY/);
+    assert.throws(() => runQuery(multiDay, 'SELECT test FROM runs WHERE'), /Expected a column or value but found end of query/);
+    assert.throws(() => runQuery(multiDay, 'SELECT platform FROM runs'), /Unknown column platform in runs/);
+});
+
+test('queries reject unknown tables, SELECT * with grouping and ordering by unselected columns', () => {
+    const tables = createQueryTables(encode(makeJobResults()));
+
+    assert.throws(() => runQuery(tables, 'SELECT * FROM platforms'), /Unknown table platforms, expected one of: runs, tests, /);
+    assert.throws(() => runQuery(tables, 'SELECT * FROM runs GROUP BY status'), /SELECT \* can't be used with GROUP BY or aggregates/);
+    assert.throws(() => runQuery(tables, 'SELECT test FROM runs ORDER BY duration'), /ORDER BY duration must be one of the selected columns: test/);
+
+    // Aggregates are ordered by their alias
+    assert.deepStrictEqual(runQuery(tables, 'SELECT test, max(duration) AS longest FROM runs GROUP BY test ORDER BY longest DESC, test LIMIT 1').rows,
+        [['dom/base/test/test_a.js', 1000]]);
+});
+
+test('the tasks and jobs tables need files with task IDs', () => {
+    const daily = encode(makeJobResults());
+    assert.deepStrictEqual(runQuery(createQueryTables(daily), 'SELECT task, job FROM tasks ORDER BY task').rows, [
+        ['taskA.0', 'test-linux1804-64/opt-xpcshell-1'],
+        ['taskB.0', 'test-windows11-64/opt-xpcshell-1'],
+        ['taskC.0', 'test-linux1804-64/opt-xpcshell-2']
+    ]);
+
+    const builder = createHistoricalDataBuilder(false);
+    addDailyData(builder, daily, 0);
+    const multiDay = createQueryTables(builder.finish({ days: 1, startTime: START_TIME }));
+    for (const table of ['tasks', 'jobs']) {
+        assert.throws(() => runQuery(multiDay, `SELECT * FROM ${table}`), new RegExp(`The ${table} table needs task IDs, which this file doesn't have`));
+    }
+    // Other tables still work on these files
+    assert.strictEqual(runQuery(multiDay, 'SELECT count(*) FROM tests').rows[0][0], 3);
+});
@@ -0,0 +1,89 @@
+// Tests for revision ranges (--range), with a file job source and the
+// synthetic profiles in tests/fixtures/replay
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'replay');
+
+function makeJob(name, taskId, retryId, pushId, revision, pushTimestamp) {
+    return {
+        name,
+        task_id: taskId,
+        retry_id: retryId,
+        start_time: new Date((pushTimestamp + 600) * 1000).toISOString(),
+        repository: 'autoland',
+        revision,
+        push_id: pushId,
+        push_timestamp: pushTimestamp
+    };
+}
+
+// Jobs of four pushes, listed out of order. The profiles of the first three
+// pushes' xpcshell jobs are in the fixtures (one of them as missing).
+const JOBS = [
+    makeJob('test-macosx1470-64/opt-xpcshell-1', 'MacNoProfile_0003', 0, 12, 'cccccccccccc', 1736928000),
+    makeJob('test-linux1804-64-qr/opt-xpcshell-1', 'Linux1Opt_Task0001', 0, 10, 'aaaaaaaaaaaa', 1736920000),
+    makeJob('test-linux1804-64-qr/opt-xpcshell-1', 'OtherPush_Task0006', 0, 13, 'dddddddddddd', 1736930000),
+    makeJob('test-windows11-64-24h2/debug-xpcshell-2', 'WinDebug_Task0002', 1, 11, 'bbbbbbbbbbbb', 1736924000),
+    makeJob('test-linux1804-64-qr/opt-mochitest-plain-1', 'Mochitest_Task004', 0, 11, 'bbbbbbbbbbbb', 1736924000)
+];
+
+// Run the generator in a temporary directory with the jobs above, returning
+// its exit status, output and the range file it wrote (if any)
+function runRange(rangeArg) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'range-'));
+    try {
+        const jobsFile = path.join(dir, 'jobs.ndjson');
+        fs.writeFileSync(jobsFile, JOBS.map(job => JSON.stringify(job)).join('\n') + '\n');
+
+        const result = spawnSync(process.execPath, [
+            path.join(__dirname, '..', 'fetch-xpcshell-data.js'),
+            '--replay', FIXTURES_DIR,
+            '--job-source', `file:${jobsFile}`,
+            '--range', rangeArg
+        ], { cwd: dir, encoding: 'utf-8', timeout: 60000 });
+
+        const dataDir = path.join(dir, 'xpcshell-data');
+        const rangeFile = fs.existsSync(dataDir) && fs.readdirSync(dataDir).find(file => /^xpcshell-autoland-[0-9a-f]+\.\.[0-9a-f]+\.json$/.test(file));
+        const data = rangeFile ? JSON.parse(fs.readFileSync(path.join(dataDir, rangeFile), 'utf-8')) : null;
+        return { status: result.status, output: result.stdout + result.stderr, rangeFile, data };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('ranges combine the jobs of their pushes into one file listing the pushes', () => {
+    const { status, output, rangeFile, data } = runRange('autoland:aaaaaa..cccccc');
+
+    assert.strictEqual(status, 0, output);
+    assert.strictEqual(rangeFile, 'xpcshell-autoland-aaaaaa..cccccc.json');
+    assert.deepStrictEqual(data.metadata.pushes, [
+        { id: 10, revision: 'aaaaaaaaaaaa', pushTimestamp: 1736920000, jobCount: 1 },
+        { id: 11, revision: 'bbbbbbbbbbbb', pushTimestamp: 1736924000, jobCount: 1 },
+        { id: 12, revision: 'cccccccccccc', pushTimestamp: 1736928000, jobCount: 1 }
+    ]);
+    assert.strictEqual(data.metadata.jobCount, 3);
+    assert.strictEqual(data.metadata.processedJobCount, 2);
+    assert.strictEqual(data.metadata.startTime, 1736920000);
+
+    // test_http.js passed in the jobs of both pushes with a profile
+    assert.deepStrictEqual(data.tables.taskIds.slice().sort(), ['Linux1Opt_Task0001.0', 'WinDebug_Task0002.1']);
+    const testId = data.testInfo.testNameIds.findIndex(nameId => data.tables.testNames[nameId] === 'test_http.js');
+    const passRuns = data.testRuns[testId][data.tables.statuses.indexOf('PASS')];
+    assert.deepStrictEqual(passRuns.taskIdIds.map(taskIdId => data.tables.taskIds[taskIdId]).sort(), ['Linux1Opt_Task0001.0', 'WinDebug_Task0002.1']);
+    assert.deepStrictEqual(data.taskInfo.pushIds.slice().sort(), [10, 11]);
+});
+
+test('--range needs a project and two revisions', () => {
+    for (const rangeArg of ['autoland:aaaaaa', 'aaaaaa..cccccc', 'autoland:aaaaaa..not-a-revision']) {
+        const { status, output, data } = runRange(rangeArg);
+        assert.strictEqual(status, 1, output);
+        assert.match(output, /Error: --range must be in format project:fromRevision\.\.toRevision/);
+        assert.strictEqual(data, null);
+    }
+});
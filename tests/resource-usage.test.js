@@ -0,0 +1,39 @@
+// Tests for the CPU and memory use of each test run, through the encoding of
+// the daily files and the multi-day aggregation
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHistoricalDataBuilder } = require('../fetch-xpcshell-data.js');
+const { findTest } = require('../common-test-data.js');
+const { START_TIME, makeJobResults, encode } = require('./helpers.js');
+
+test('per-run resource usage follows the runs through encoding and aggregation', () => {
+    const jobResults = makeJobResults();
+    // test_a.js runs at 30s (taskA), 20s (taskB) and 10s (taskC)
+    Object.assign(jobResults[0].timings[0], { averageCpu: 100, peakMemory: 2048 });
+    Object.assign(jobResults[2].timings[0], { averageCpu: 250, peakMemory: 4096 });
+    const data = encode(jobResults);
+
+    const passId = data.tables.statuses.indexOf('PASS');
+    const passGroupA = data.testRuns[findTest(data, 'dom/base/test/test_a.js').testId][passId];
+    assert.deepStrictEqual(passGroupA.averageCpus, [250, null, 100]);
+    assert.deepStrictEqual(passGroupA.peakMemories, [4096, null, 2048]);
+    const passGroupB = data.testRuns[findTest(data, 'dom/base/test/test_b.js').testId][passId];
+    assert.strictEqual(passGroupB.averageCpus, undefined);
+
+    const builder = createHistoricalDataBuilder(true);
+    const { testId } = findTest(data, 'dom/base/test/test_a.js');
+    builder.addTestRuns(data, testId, 'dom/base/test/test_a.js', 0);
+    const aggregated = builder.finish({ days: 1, startTime: START_TIME });
+    const aggregatedGroup = aggregated.testRuns[0][aggregated.tables.statuses.indexOf('PASS')];
+    const cpusByJobName = {};
+    aggregatedGroup.jobNameIds.forEach((jobNameId, i) => {
+        cpusByJobName[aggregated.tables.jobNames[jobNameId]] = aggregatedGroup.averageCpus[i];
+    });
+    assert.deepStrictEqual(cpusByJobName, {
+        'test-linux1804-64/opt-xpcshell-1': [100],
+        'test-windows11-64/opt-xpcshell-1': [null],
+        'test-linux1804-64/opt-xpcshell-2': [250]
+    });
+});
@@ -0,0 +1,82 @@
+// Tests for slices of jobs (--from/--to, --repository and --job-filter), and
+// for runs of the generator replaying the synthetic fixture set in
+// tests/fixtures/replay, whose jobs ran on 2025-01-14 and 2025-01-15. The
+// generator runs in a time zone other than UTC, as job start times have no
+// offset and must still be read as UTC.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { filterJobs } = require('../fetch-xpcshell-data.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'replay');
+
+// Run the generator in a temporary directory, returning its exit status,
+// output and the files it wrote
+function runSlice(from, to) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slice-'));
+    try {
+        const result = spawnSync(process.execPath, [
+            path.join(__dirname, '..', 'fetch-xpcshell-data.js'),
+            '--replay', FIXTURES_DIR,
+            '--from', from,
+            '--to', to
+        ], { cwd: dir, encoding: 'utf-8', timeout: 60000, env: { ...process.env, TZ: 'America/New_York' } });
+        const dataDir = path.join(dir, 'xpcshell-data');
+        const files = fs.existsSync(dataDir) ? fs.readdirSync(dataDir).sort() : [];
+        const slice = files.length > 0 ? JSON.parse(fs.readFileSync(path.join(dataDir, files.find(file => /^xpcshell-slice-[^-]+-[^-]+\.json$/.test(file))), 'utf-8')) : null;
+        return { status: result.status, stdout: result.stdout, stderr: result.stderr, slice };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('slices keep the jobs of their time window, repository and job names', () => {
+    const jobs = [
+        { name: 'test-linux1804-64/opt-xpcshell-1', repository: 'autoland', start_time: '2025-01-01T09:59:59Z' },
+        { name: 'test-linux1804-64/opt-xpcshell-2', repository: 'autoland', start_time: '2025-01-01T10:00:00Z' },
+        { name: 'test-windows11-64/opt-xpcshell-1', repository: 'autoland', start_time: '2025-01-01T11:00:00Z' },
+        { name: 'test-linux1804-64/debug-xpcshell-1', repository: 'mozilla-central', start_time: '2025-01-01T11:30:00Z' },
+        { name: 'test-linux1804-64/opt-xpcshell-3', repository: 'autoland', start_time: '2025-01-01T12:00:00Z' }
+    ];
+    const from = Date.parse('2025-01-01T10:00:00Z');
+    const to = Date.parse('2025-01-01T12:00:00Z');
+    const names = filters => filterJobs(jobs, filters).map(job => job.name);
+
+    assert.strictEqual(filterJobs(jobs).length, jobs.length);
+    assert.deepStrictEqual(names({ from, to }), [
+        'test-linux1804-64/opt-xpcshell-2', 'test-windows11-64/opt-xpcshell-1', 'test-linux1804-64/debug-xpcshell-1'
+    ]);
+    assert.deepStrictEqual(names({ from, to, repository: 'autoland', jobFilter: /linux/ }), ['test-linux1804-64/opt-xpcshell-2']);
+});
+
+test('slices keep the jobs of the window, warning about the days the job source has no jobs for', () => {
+    const { status, stdout, stderr, slice } = runSlice('2025-01-15T09:00', '2025-01-16T12:00');
+
+    assert.strictEqual(status, 0, stdout + stderr);
+    assert.match(stderr, /Warning: the job source has no jobs on 2025-01-16, the slice only covers the other days/);
+    assert.match(stdout, /2 of 3 jobs are in the slice/);
+    assert.deepStrictEqual(slice.tables.taskIds, ['WinDebug_Task0002.1']);
+    assert.strictEqual(slice.metadata.jobCount, 2);
+});
+
+test('job start times are read as UTC', () => {
+    // Linux1Opt_Task0001 started at 08:00Z
+    const { status, stdout, stderr, slice } = runSlice('2025-01-15T07:00', '2025-01-15T09:00');
+
+    assert.strictEqual(status, 0, stdout + stderr);
+    assert.match(stdout, /1 of 3 jobs are in the slice/);
+    assert.deepStrictEqual(slice.tables.taskIds, ['Linux1Opt_Task0001.0']);
+});
+
+test('slices outside of what the job source covers fail', () => {
+    const { status, stdout, stderr, slice } = runSlice('2025-02-01T00:00', '2025-02-02T00:00');
+
+    assert.strictEqual(status, 1, stdout + stderr);
+    assert.match(stderr, /Error: the job source has no jobs from 2025-02-01 to 2025-02-01, the slice is outside of what it covers/);
+    assert.strictEqual(slice, null);
+});
@@ -0,0 +1,45 @@
+// Tests for the failing subtest results of the daily and multi-day files (see
+// tests/profile-worker.test.js for their extraction from profiles)
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHistoricalDataBuilder, decodeDailyData } = require('../fetch-xpcshell-data.js');
+const { findTest } = require('../common-test-data.js');
+const { validateDataFile } = require('../validate-data.js');
+const { makeJobResults, encode } = require('./helpers.js');
+
+test('failing subtest results are stored per test and carried into the multi-day files', () => {
+    const [taskA, taskB, taskC] = makeJobResults();
+    taskA.timings[1].subtests = [{ name: 'test_upload', status: 'FAIL', message: 'assertion failed' }];
+    taskC.timings[1].subtests = [{ name: 'test_upload', status: 'TIMEOUT' }, { name: 'test_cleanup', status: 'FAIL' }];
+    const data = encode([taskA, taskB, taskC]);
+    assert.deepStrictEqual(validateDataFile(data, 'daily'), []);
+
+    const testB = findTest(data, 'dom/base/test/test_b.js');
+    const subtestGroup = data.subtestRuns[testB.testId];
+    const results = subtestGroup.subtestIds.map((subtestId, i) => [
+        data.tables.subtests[subtestId],
+        data.tables.statuses[subtestGroup.statusIds[i]],
+        data.tables.taskIds[subtestGroup.taskIdIds[i]]
+    ]);
+    assert.deepStrictEqual(results, [
+        ['test_upload', 'FAIL', 'taskA.0'],
+        ['test_upload', 'TIMEOUT', 'taskC.0'],
+        ['test_cleanup', 'FAIL', 'taskC.0']
+    ]);
+
+    const decodedC = decodeDailyData(data).find(result => result.taskId === 'taskC');
+    assert.deepStrictEqual(decodedC.timings.find(timing => timing.path === 'dom/base/test/test_b.js').subtests,
+        taskC.timings[1].subtests);
+
+    const builder = createHistoricalDataBuilder(true);
+    builder.addTestRuns(data, testB.testId, 'dom/base/test/test_b.js', 0);
+    builder.addTestRuns(data, testB.testId, 'dom/base/test/test_b.js', 2);
+    const aggregated = builder.finish({ days: 3 });
+    assert.deepStrictEqual(validateDataFile(aggregated, 'issues'), []);
+    const aggregatedGroup = aggregated.subtestRuns[0];
+    assert.deepStrictEqual(aggregatedGroup.days, [0, 0, 0, 2, 0, 0]);
+    assert.deepStrictEqual(aggregatedGroup.messageIds.map(id => id === null ? null : aggregated.tables.messages[id]),
+        ['assertion failed', null, null, 'assertion failed', null, null]);
+});
@@ -0,0 +1,80 @@
+// Tests for the data file schemas and validator
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createDataTables, sortStringTablesByFrequency, compressTestRunTimestamps, createResourceUsageData } = require('../fetch-xpcshell-data.js');
+const { detectDataFileKind, validateDataFile } = require('../validate-data.js');
+
+function makeDailyData() {
+    const jobResults = [{
+        jobName: 'test-linux1804-64/opt-xpcshell-1',
+        taskId: 'taskA',
+        retryId: 0,
+        repository: 'mozilla-central',
+        startTime: 1735689600,
+        timings: [
+            { path: 'dom/test_a.js', status: 'PASS', duration: 10, timestamp: 1735689610000 },
+            { path: 'dom/test_b.js', status: 'FAIL', message: 'oops', duration: 20, timestamp: 1735689620000 },
+            { path: 'dom/test_c.js', status: 'CRASH', crashSignature: 'sig', minidump: 'md', duration: 30, timestamp: 1735689630000 }
+        ],
+        resourceUsage: {
+            machineInfo: { logicalCPUs: 8, physicalCPUs: 4, mainMemory: 16 },
+            maxMemory: 100,
+            idleTime: 1,
+            singleCoreTime: 2,
+            cpuBuckets: [0, 0, 0, 0, 0, 0, 0, 0, 0, 1]
+        }
+    }];
+    const dataStructure = sortStringTablesByFrequency(createDataTables(jobResults));
+    compressTestRunTimestamps(dataStructure.testRuns, 1735689600);
+    return {
+        daily: { metadata: { date: '2025-01-01', startTime: 1735689600 }, ...dataStructure },
+        resources: createResourceUsageData(jobResults)
+    };
+}
+
+test('detectDataFileKind recognizes the data file names', () => {
+    assert.strictEqual(detectDataFileKind('xpcshell-2025-01-31.json'), 'daily');
+    assert.strictEqual(detectDataFileKind('data/mochitest-try-0123456789abcdef0123456789abcdef01234567.json'), 'daily');
+    assert.strictEqual(detectDataFileKind('xpcshell-issues-with-taskids.json'), 'issues');
+    assert.strictEqual(detectDataFileKind('mochitest-3f.json'), 'issues');
+    assert.strictEqual(detectDataFileKind('xpcshell-2025-01-31-resources.json'), 'resources');
+    assert.strictEqual(detectDataFileKind('xpcshell-errors-with-taskids.json'), 'errors');
+    assert.strictEqual(detectDataFileKind('mochitest-stats.json'), 'stats');
+});
+
+test('generated files are valid', () => {
+    const { daily, resources } = makeDailyData();
+    assert.deepStrictEqual(validateDataFile(daily, 'daily'), []);
+    assert.deepStrictEqual(validateDataFile(resources, 'resources'), []);
+});
+
+test('validation errors point at the broken entry', () => {
+    const { daily, resources } = makeDailyData();
+
+    daily.taskInfo.jobNameIds[0] = 7;
+    const failStatusId = daily.tables.statuses.indexOf('FAIL');
+    const failTestId = daily.testRuns.findIndex(testGroup => testGroup && testGroup[failStatusId]);
+    daily.testRuns[failTestId][failStatusId].messageIds.push(0);
+    daily.tables.repositories = 'mozilla-central';
+
+    assert.deepStrictEqual(validateDataFile(daily, 'daily'), [
+        'tables.repositories: expected array, got string',
+        'taskInfo.repositoryIds[0]: references missing table tables.repositories',
+        'taskInfo.jobNameIds[0]: index 7 out of range for tables.jobNames (length 1)',
+        `testRuns[${failTestId}][${failStatusId}].messageIds: length 2 !== taskIdIds length 1`
+    ]);
+
+    resources.jobs.cpuBuckets[0].pop();
+    resources.jobs.idleTimes.push(3);
+    assert.deepStrictEqual(validateDataFile(resources, 'resources'), [
+        'jobs.idleTimes: length 2 !== jobNameIds length 1',
+        'jobs.cpuBuckets[0]: length 9 !== 10'
+    ]);
+});
+
+test('stats files are parallel arrays', () => {
+    const stats = { dates: ['2025-01-01', '2025-01-02'], totalTestRuns: [10, 12], failedTestRuns: [1, 0], skippedTestRuns: [2] };
+    assert.deepStrictEqual(validateDataFile(stats, 'stats'), ['skippedTestRuns: length 1 !== dates length 2']);
+});
@@ -0,0 +1,125 @@
+// Tests for the watchlist of tests, folders and components (watchlist.js)
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createHistoricalDataBuilder } = require('../fetch-xpcshell-data.js');
+const { parseWatchlist, isWatched, toggleWatched, summarizeWatchedItem } = require('../watchlist.js');
+const { START_TIME, makeJobResults, encode, addDailyData } = require('./helpers.js');
+
+// Run a test with a localStorage kept in a Map
+function withLocalStorage(callback, storage = new Map()) {
+    globalThis.localStorage = {
+        getItem: key => storage.has(key) ? storage.get(key) : null,
+        setItem: (key, value) => storage.set(key, String(value))
+    };
+    try {
+        callback(storage);
+    } finally {
+        delete globalThis.localStorage;
+    }
+}
+
+// A daily file of the synthetic jobs, with netwerk/ tests in a component
+function makeDailyData() {
+    const daily = encode(makeJobResults());
+    daily.tables.components = ['Core :: Networking'];
+    daily.testInfo.componentIds = daily.testInfo.testPathIds.map(pathId =>
+        daily.tables.testPaths[pathId].startsWith('netwerk/') ? 0 : null);
+    return daily;
+}
+
+test('stored watchlists drop malformed and duplicate items', () => {
+    assert.deepStrictEqual(parseWatchlist(JSON.stringify([
+        { harness: 'xpcshell', type: 'test', path: 'dom/base/test/test_b.js' },
+        { harness: 'xpcshell', type: 'test', path: 'dom/base/test/test_b.js' },
+        { harness: 'mochitest', type: 'test', path: 'dom/base/test/test_b.js' },
+        { harness: 'xpcshell', type: 'bug', path: '123' },
+        { harness: 'xpcshell', type: 'folder' },
+        { harness: 'xpcshell', type: 'folder', path: 42 },
+        { type: 'component', path: 'Core :: Networking' },
+        null,
+        'dom/base/test/test_b.js',
+        { harness: 'xpcshell', type: 'folder', path: 'dom', extra: true }
+    ])), [
+        { harness: 'xpcshell', type: 'test', path: 'dom/base/test/test_b.js' },
+        { harness: 'mochitest', type: 'test', path: 'dom/base/test/test_b.js' },
+        { harness: 'xpcshell', type: 'folder', path: 'dom' }
+    ]);
+
+    assert.deepStrictEqual(parseWatchlist(null), []);
+    assert.deepStrictEqual(parseWatchlist(''), []);
+    assert.deepStrictEqual(parseWatchlist('{not json'), []);
+    assert.deepStrictEqual(parseWatchlist('{"harness":"xpcshell","type":"test","path":"a.js"}'), []);
+});
+
+test('toggling an item adds it to the stored watchlist, or removes it', () => {
+    withLocalStorage(storage => {
+        assert.strictEqual(toggleWatched('xpcshell', 'test', 'dom/base/test/test_a.js'), true);
+        assert.strictEqual(toggleWatched('xpcshell', 'folder', 'dom'), true);
+        assert.strictEqual(toggleWatched('mochitest', 'test', 'dom/base/test/test_a.js'), true);
+        assert.ok(isWatched('xpcshell', 'folder', 'dom'));
+        assert.ok(!isWatched('xpcshell', 'folder', 'netwerk'));
+
+        assert.strictEqual(toggleWatched('xpcshell', 'test', 'dom/base/test/test_a.js'), false);
+        assert.ok(!isWatched('xpcshell', 'test', 'dom/base/test/test_a.js'));
+        assert.ok(isWatched('mochitest', 'test', 'dom/base/test/test_a.js'));
+        assert.deepStrictEqual(JSON.parse(storage.get('watchlist')), [
+            { harness: 'xpcshell', type: 'folder', path: 'dom' },
+            { harness: 'mochitest', type: 'test', path: 'dom/base/test/test_a.js' }
+        ]);
+    });
+
+    // A corrupted watchlist is started over
+    withLocalStorage(storage => {
+        assert.strictEqual(toggleWatched('xpcshell', 'component', 'Core :: Networking'), true);
+        assert.deepStrictEqual(JSON.parse(storage.get('watchlist')), [{ harness: 'xpcshell', type: 'component', path: 'Core :: Networking' }]);
+    }, new Map([['watchlist', '{not json']]));
+});
+
+test('watched tests, folders and components are summarized from the issues and daily files', () => {
+    const daily = makeDailyData();
+    const builder = createHistoricalDataBuilder(false);
+    addDailyData(builder, daily, 0);
+    const issues = builder.finish({ days: 21, startTime: START_TIME });
+
+    const summarize = (type, path) => summarizeWatchedItem({ harness: 'xpcshell', type, path }, issues, daily);
+    assert.deepStrictEqual(summarize('test', 'dom/base/test/test_b.js'), {
+        testCount: 1, runCount: 3, failCount: 1, timeoutCount: 0, crashCount: 1, skipCount: 0, failureRate: 2 / 3,
+        timedRuns: 1, avgDuration: 1000, maxDuration: 1000
+    });
+    // Folders match the tests below them, not those of folders sharing a prefix
+    assert.strictEqual(summarize('folder', 'dom/base').testCount, 2);
+    assert.strictEqual(summarize('folder', 'dom/bas').testCount, 0);
+    assert.strictEqual(summarize('folder', 'dom').timedRuns, 4);
+    // run-if skips aren't counted, and skipped runs have no timings
+    assert.deepStrictEqual(summarize('component', 'Core :: Networking'), {
+        testCount: 1, runCount: 0, failCount: 0, timeoutCount: 0, crashCount: 0, skipCount: 1, failureRate: 0,
+        timedRuns: 0, avgDuration: null, maxDuration: null
+    });
+    assert.strictEqual(summarizeWatchedItem({ harness: 'xpcshell', type: 'test', path: 'dom/base/test/test_a.js' }, null, daily).runCount, null);
+});
+
+test('watched items are summarized from a multi-day file with task IDs alone', () => {
+    // Chunk files and the issues file with task IDs keep the durations of
+    // passing runs in buckets per day and job name
+    const daily = makeDailyData();
+    const later = encode(makeJobResults().slice(0, 1).map(result => ({
+        ...result,
+        timings: result.timings.map(timing => ({ ...timing, duration: 4000 }))
+    })));
+    const builder = createHistoricalDataBuilder(true);
+    addDailyData(builder, daily, 0);
+    addDailyData(builder, later, 2);
+    const chunk = builder.finish({ days: 21, startTime: START_TIME });
+
+    assert.deepStrictEqual(summarizeWatchedItem({ harness: 'xpcshell', type: 'test', path: 'dom/base/test/test_a.js' }, chunk, chunk), {
+        testCount: 1, runCount: 4, failCount: 0, timeoutCount: 0, crashCount: 0, skipCount: 0, failureRate: 0,
+        timedRuns: 4, avgDuration: 1750, maxDuration: 4000
+    });
+    assert.deepStrictEqual(summarizeWatchedItem({ harness: 'xpcshell', type: 'folder', path: 'dom' }, chunk, chunk), {
+        testCount: 2, runCount: 8, failCount: 2, timeoutCount: 0, crashCount: 1, skipCount: 0, failureRate: 3 / 8,
+        timedRuns: 5, avgDuration: 1600, maxDuration: 4000
+    });
+    assert.strictEqual(summarizeWatchedItem({ harness: 'xpcshell', type: 'component', path: 'Core :: Networking' }, chunk, chunk).skipCount, 2);
+});
@@ -0,0 +1,524 @@
+#!/usr/bin/env node
+
+// Schemas and validator for the JSON data files the dashboards load.
+//
+// Used by fetch-xpcshell-data.js before saving any file, and as a command line
+// tool to check downloaded artifacts:
+//
+//   node validate-data.js xpcshell-2025-01-31.json mochitest-issues.json ...
+//
+// The kind of file is detected from its name (see detectDataFileKind). Errors
+// point at the exact broken entry, e.g.
+//   taskInfo.jobNameIds[57]: index 900 out of range for tables.jobNames (length 120)
+//   testRuns[12][3].messageIds: length 4 !== taskIdIds length 5
+
+const fs = require('fs');
+const path = require('path');
+
+// ===== Schema building blocks =====
+
+const STRING_TABLE = { type: 'array', items: { type: 'string' } };
+const OPTIONAL_STRING_TABLE = { ...STRING_TABLE, optional: true };
+
+// An index into the array at targetPath (e.g. 'tables.jobNames')
+function ref(targetPath, options = {}) {
+    return { type: 'index', target: targetPath, ...options };
+}
+
+// An object of parallel arrays which must all have the same length
+// (optionally the length of the array at lengthOf)
+function columns(columnSchemas, options = {}) {
+    return { type: 'columns', columns: columnSchemas, ...options };
+}
+
+const NUMBER = { type: 'number' };
+const NULLABLE_NUMBER = { type: 'number', nullable: true };
+
+// ===== Schemas =====
+
+// Table encoding shared by the daily, revision and multi-day test data files:
+// {metadata, tables, taskInfo, testInfo, testRuns}. testRuns[testId][statusId]
+// status groups are checked by validateTestRuns.
+function testDataSchema(withTaskIds) {
+    const taskTable = withTaskIds ? STRING_TABLE : OPTIONAL_STRING_TABLE;
+    return {
+        type: 'object',
+        properties: {
+            metadata: { type: 'object' },
+            tables: {
+                type: 'object',
+                properties: {
+                    jobNames: taskTable,
+                    testPaths: STRING_TABLE,
+                    testNames: STRING_TABLE,
+                    repositories: taskTable,
+                    statuses: STRING_TABLE,
+                    taskIds: taskTable,
+                    messages: OPTIONAL_STRING_TABLE,
+                    crashSignatures: OPTIONAL_STRING_TABLE,
+                    components: OPTIONAL_STRING_TABLE,
+                    commitIds: OPTIONAL_STRING_TABLE,
+                    conditions: OPTIONAL_STRING_TABLE,
+                    subtests: OPTIONAL_STRING_TABLE
+                }
+            },
+            taskInfo: columns({
+                repositoryIds: ref('tables.repositories'),
+                jobNameIds: ref('tables.jobNames'),
+                commitIds: ref('tables.commitIds', { optional: true, nullable: true }),
+                pushIds: { ...NULLABLE_NUMBER, optional: true },
+                pushTimestamps: { ...NULLABLE_NUMBER, optional: true }
+            }, { lengthOf: 'tables.taskIds', optional: !withTaskIds }),
+            testInfo: columns({
+                testPathIds: ref('tables.testPaths'),
+                testNameIds: ref('tables.testNames'),
+                componentIds: ref('tables.components', { optional: true, nullable: true })
+            }),
+            testRuns: { type: 'testRuns' },
+            // Failing subtest results per test ID, one entry each. Multi-day
+            // files also have the (delta-encoded) day of each result.
+            subtestRuns: {
+                type: 'array',
+                optional: true,
+                items: columns({
+                    subtestIds: ref('tables.subtests'),
+                    statusIds: ref('tables.statuses'),
+                    messageIds: ref('tables.messages', { nullable: true }),
+                    taskIdIds: ref('tables.taskIds', { optional: true }),
+                    days: { ...NUMBER, optional: true }
+                }, { nullable: true, optional: true }) // Sparse, like testRuns
+            }
+        }
+    };
+}
+
+const SCHEMAS = {
+    // <harness>-<date>.json, <harness>-<project>-<revision>.json
+    daily: testDataSchema(true),
+
+    // <harness>-issues.json, <harness>-issues-with-taskids.json and the
+    // <harness>-<chunk>.json files test.html loads
+    issues: testDataSchema(false),
+
+    // <harness>-<date>-resources.json
+    resources: {
+        type: 'object',
+        properties: {
+            jobNames: STRING_TABLE,
+            repositories: STRING_TABLE,
+            machineInfos: { type: 'array', items: { type: 'object' } },
+            jobs: columns({
+                jobNameIds: ref('jobNames'),
+                chunks: NULLABLE_NUMBER,
+                taskIds: { type: 'string' },
+                repositoryIds: ref('repositories'),
+                startTimes: NUMBER,
+                machineInfoIds: ref('machineInfos'),
+                maxMemories: NUMBER,
+                idleTimes: NUMBER,
+                singleCoreTimes: NUMBER,
+                cpuBuckets: { type: 'array', length: 10, items: NUMBER }
+            })
+        }
+    },
+
+    // <harness>-<date>-errors.json, <harness>-errors(-with-taskids).json
+    errors: {
+        type: 'object',
+        properties: {
+            metadata: { type: 'object' },
+            tables: {
+                type: 'object',
+                properties: {
+                    markerNames: STRING_TABLE,
+                    messageTexts: STRING_TABLE,
+                    files: STRING_TABLE,
+                    components: STRING_TABLE,
+                    testPaths: STRING_TABLE,
+                    testNames: STRING_TABLE,
+                    taskIds: OPTIONAL_STRING_TABLE,
+                    jobNames: OPTIONAL_STRING_TABLE,
+                    repositories: OPTIONAL_STRING_TABLE
+                }
+            },
+            messages: columns({
+                markerNameIds: ref('tables.markerNames'),
+                textIds: ref('tables.messageTexts', { nullable: true }),
+                fileIds: ref('tables.files', { nullable: true }),
+                lines: NULLABLE_NUMBER,
+                componentIds: ref('tables.components', { nullable: true })
+            }),
+            taskInfo: columns({
+                repositoryIds: ref('tables.repositories', { optional: true }),
+                jobNameIds: ref('tables.jobNames')
+            }, { lengthOf: 'tables.taskIds', optional: true }),
+            testInfo: columns({
+                testPathIds: ref('tables.testPaths'),
+                testNameIds: ref('tables.testNames')
+            }),
+            markers: columns({
+                testIds: ref('testInfo.testPathIds'),
+                messageIds: ref('messages.markerNameIds'),
+                // Scalar counts in the counts-only aggregate, per-task counts otherwise
+                counts: { type: 'any' },
+                taskIdIds: { type: 'deltaIndexes', target: 'tables.taskIds', optional: true },
+                days: { type: 'number', optional: true }
+            })
+        }
+    },
+
+    // <harness>-<date>-tasks.json: the jobs already processed into a daily
+    // file, for incremental regeneration
+    tasks: {
+        type: 'object',
+        properties: {
+            date: { type: 'string' },
+            taskIds: STRING_TABLE
+        }
+    },
+
+    // <harness>-stats.json
+    stats: columns({
+        dates: { type: 'string' },
+        totalTestRuns: NUMBER,
+        failedTestRuns: NUMBER,
+        skippedTestRuns: NUMBER,
+        processedJobCount: { ...NULLABLE_NUMBER, optional: true },
+        failedJobs: { ...NULLABLE_NUMBER, optional: true },
+        invalidJobs: { ...NULLABLE_NUMBER, optional: true },
+        ignoredJobs: { ...NULLABLE_NUMBER, optional: true }
+    })
+};
+
+// Detect which schema applies to a data file from its name
+function detectDataFileKind(filePath) {
+    const fileName = path.basename(filePath);
+    if (/-stats\.json$/.test(fileName)) return 'stats';
+    if (/-resources\.json$/.test(fileName)) return 'resources';
+    if (/-tasks\.json$/.test(fileName)) return 'tasks';
+    if (/-errors(-with-taskids)?\.json$/.test(fileName)) return 'errors';
+    if (/-issues(-with-taskids)?\.json$/.test(fileName) || /^[a-z]+-[0-9a-f]{2}\.json$/.test(fileName)) return 'issues';
+    return 'daily';
+}
+
+// ===== Validation =====
+
+const MAX_REPORTED_ERRORS = 50;
+
+function getAtPath(root, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), root);
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+// Validate parsed data against the schema for the given kind.
+// Returns an array of error strings (empty when valid), capped at maxErrors.
+function validateDataFile(data, kind, maxErrors = MAX_REPORTED_ERRORS) {
+    const schema = SCHEMAS[kind];
+    if (!schema) {
+        throw new Error(`Unknown data file kind: ${kind}`);
+    }
+
+    const errors = [];
+    function report(keyPath, message) {
+        if (errors.length < maxErrors) {
+            errors.push(`${keyPath || '(root)'}: ${message}`);
+        } else if (errors.length === maxErrors) {
+            errors.push('... more errors omitted');
+        }
+    }
+
+    // Tables referenced by indexes, looked up once per path
+    const targets = new Map();
+
+    function checkIndex(value, schema, keyPath) {
+        if (!targets.has(schema.target)) {
+            targets.set(schema.target, getAtPath(data, schema.target));
+        }
+        const target = targets.get(schema.target);
+        if (!Array.isArray(target)) {
+            report(keyPath, `references missing table ${schema.target}`);
+            return false;
+        }
+        if (!Number.isInteger(value) || value < 0 || value >= target.length) {
+            report(keyPath, `index ${JSON.stringify(value)} out of range for ${schema.target} (length ${target.length})`);
+            return false;
+        }
+        return true;
+    }
+
+    function validate(value, schema, keyPath) {
+        if (value === undefined) {
+            if (!schema.optional) {
+                report(keyPath, 'missing');
+            }
+            return;
+        }
+        if (value === null) {
+            if (!schema.nullable) {
+                report(keyPath, 'unexpected null');
+            }
+            return;
+        }
+
+        switch (schema.type) {
+            case 'any':
+                return;
+            case 'string':
+            case 'number':
+                if (typeof value !== schema.type) {
+                    report(keyPath, `expected ${schema.type}, got ${describe(value)}`);
+                }
+                return;
+            case 'index':
+                checkIndex(value, schema, keyPath);
+                return;
+            case 'deltaIndexes': {
+                // Delta-encoded ascending indexes
+                if (!Array.isArray(value)) {
+                    report(keyPath, `expected array, got ${describe(value)}`);
+                    return;
+                }
+                let index = 0;
+                for (let i = 0; i < value.length; i++) {
+                    index += value[i];
+                    if (!checkIndex(index, schema, `${keyPath}[${i}]`)) return;
+                }
+                return;
+            }
+            case 'object':
+                if (describe(value) !== 'object') {
+                    report(keyPath, `expected object, got ${describe(value)}`);
+                    return;
+                }
+                for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+                    validate(value[key], propertySchema, keyPath ? `${keyPath}.${key}` : key);
+                }
+                return;
+            case 'array':
+                if (!Array.isArray(value)) {
+                    report(keyPath, `expected array, got ${describe(value)}`);
+                    return;
+                }
+                if (schema.length !== undefined && value.length !== schema.length) {
+                    report(keyPath, `length ${value.length} !== ${schema.length}`);
+                }
+                for (let i = 0; i < value.length; i++) {
+                    validate(value[i], schema.items, `${keyPath}[${i}]`);
+                }
+                return;
+            case 'columns':
+                validateColumns(value, schema, keyPath);
+                return;
+            case 'testRuns':
+                validateTestRuns(value, keyPath);
+                return;
+            default:
+                throw new Error(`Unknown schema type: ${schema.type}`);
+        }
+    }
+
+    function validateColumns(value, schema, keyPath) {
+        if (describe(value) !== 'object') {
+            report(keyPath, `expected object, got ${describe(value)}`);
+            return;
+        }
+
+        let expectedLength = null;
+        let expectedFrom = null;
+        if (schema.lengthOf) {
+            const lengthSource = getAtPath(data, schema.lengthOf);
+            if (Array.isArray(lengthSource)) {
+                expectedLength = lengthSource.length;
+                expectedFrom = schema.lengthOf;
+            }
+        }
+
+        for (const [key, columnSchema] of Object.entries(schema.columns)) {
+            const column = value[key];
+            const columnPath = keyPath ? `${keyPath}.${key}` : key;
+            if (column === undefined) {
+                if (!columnSchema.optional) {
+                    report(columnPath, 'missing');
+                }
+                continue;
+            }
+            if (!Array.isArray(column)) {
+                report(columnPath, `expected array, got ${describe(column)}`);
+                continue;
+            }
+            if (expectedLength === null) {
+                expectedLength = column.length;
+                expectedFrom = key;
+            } else if (column.length !== expectedLength) {
+                report(columnPath, `length ${column.length} !== ${expectedFrom} length ${expectedLength}`);
+                continue;
+            }
+            const itemSchema = { ...columnSchema, optional: false };
+            for (let i = 0; i < column.length; i++) {
+                validate(column[i], itemSchema, `${columnPath}[${i}]`);
+            }
+        }
+    }
+
+    // Check every array of a status group against the length of its first array
+    // (taskIdIds, or days in the bucketed format)
+    function checkParallelArrays(statusGroup, keys, referenceKey, keyPath) {
+        const expected = statusGroup[referenceKey].length;
+        for (const key of keys) {
+            const array = statusGroup[key];
+            if (array === undefined || key === referenceKey) continue;
+            if (!Array.isArray(array)) {
+                report(`${keyPath}.${key}`, `expected array, got ${describe(array)}`);
+            } else if (array.length !== expected) {
+                report(`${keyPath}.${key}`, `length ${array.length} !== ${referenceKey} length ${expected}`);
+            }
+        }
+    }
+
+    function checkNullableIndexes(array, target, keyPath) {
+        if (!Array.isArray(array)) return;
+        for (let i = 0; i < array.length; i++) {
+            if (array[i] !== null && !checkIndex(array[i], { target }, `${keyPath}[${i}]`)) return;
+        }
+    }
+
+    function validateTestRuns(testRuns, keyPath) {
+        if (!Array.isArray(testRuns)) {
+            report(keyPath, `expected array, got ${describe(testRuns)}`);
+            return;
+        }
+
+        const testCount = data.testInfo?.testPathIds?.length;
+        if (testCount !== undefined && testRuns.length > testCount) {
+            report(keyPath, `length ${testRuns.length} > testInfo.testPathIds length ${testCount}`);
+        }
+        const statusCount = data.tables?.statuses?.length || 0;
+
+        for (let testId = 0; testId < testRuns.length; testId++) {
+            const testGroup = testRuns[testId];
+            if (testGroup === null || testGroup === undefined) continue;
+            const testPath = `${keyPath}[${testId}]`;
+            if (!Array.isArray(testGroup)) {
+                report(testPath, `expected array, got ${describe(testGroup)}`);
+                continue;
+            }
+            if (testGroup.length > statusCount) {
+                report(testPath, `length ${testGroup.length} > tables.statuses length ${statusCount}`);
+            }
+
+            for (let statusId = 0; statusId < testGroup.length; statusId++) {
+                const statusGroup = testGroup[statusId];
+                if (statusGroup === null || statusGroup === undefined) continue;
+                validateStatusGroup(statusGroup, `${testPath}[${statusId}]`);
+            }
+        }
+    }
+
+    function validateStatusGroup(statusGroup, keyPath) {
+        if (describe(statusGroup) !== 'object') {
+            report(keyPath, `expected object, got ${describe(statusGroup)}`);
+            return;
+        }
+
+        const perRunKeys = ['taskIdIds', 'durations', 'timestamps', 'messageIds', 'crashSignatureIds', 'minidumps',
+            'counts', 'jobNameIds', 'days', 'averageCpus', 'peakMemories', 'conditionIds'];
+
+        if (statusGroup.days !== undefined) {
+            // Bucketed multi-day format: one entry per bucket
+            if (!Array.isArray(statusGroup.days)) {
+                report(`${keyPath}.days`, `expected array, got ${describe(statusGroup.days)}`);
+                return;
+            }
+            if (statusGroup.counts === undefined && statusGroup.taskIdIds === undefined && statusGroup.durations === undefined) {
+                report(keyPath, 'bucketed status group without counts, taskIdIds or durations');
+            }
+            checkParallelArrays(statusGroup, perRunKeys, 'days', keyPath);
+            if (Array.isArray(statusGroup.taskIdIds)) {
+                statusGroup.taskIdIds.forEach((bucket, i) => {
+                    if (!Array.isArray(bucket)) {
+                        report(`${keyPath}.taskIdIds[${i}]`, `expected array, got ${describe(bucket)}`);
+                    } else {
+                        checkNullableIndexes(bucket, 'tables.taskIds', `${keyPath}.taskIdIds[${i}]`);
+                    }
+                });
+            }
+        } else {
+            // Flat single-day format: one entry per run
+            if (!Array.isArray(statusGroup.taskIdIds)) {
+                report(`${keyPath}.taskIdIds`, 'missing');
+                return;
+            }
+            checkParallelArrays(statusGroup, perRunKeys, 'taskIdIds', keyPath);
+            checkNullableIndexes(statusGroup.taskIdIds, 'tables.taskIds', `${keyPath}.taskIdIds`);
+        }
+
+        checkNullableIndexes(statusGroup.messageIds, 'tables.messages', `${keyPath}.messageIds`);
+        checkNullableIndexes(statusGroup.crashSignatureIds, 'tables.crashSignatures', `${keyPath}.crashSignatureIds`);
+        checkNullableIndexes(statusGroup.jobNameIds, 'tables.jobNames', `${keyPath}.jobNameIds`);
+        checkNullableIndexes(statusGroup.conditionIds, 'tables.conditions', `${keyPath}.conditionIds`);
+    }
+
+    validate(data, schema, '');
+    return errors;
+}
+
+// Validate data about to be saved to filePath, throwing if it doesn't match its schema
+function assertValidDataFile(data, filePath) {
+    const errors = validateDataFile(data, detectDataFileKind(filePath));
+    if (errors.length > 0) {
+        throw new Error(`Invalid data for ${filePath}:\n  ${errors.join('\n  ')}`);
+    }
+}
+
+// Command line: validate each file given as argument
+function main() {
+    const files = process.argv.slice(2);
+    if (files.length === 0) {
+        console.error('Usage: node validate-data.js <data file>...');
+        process.exit(1);
+    }
+
+    let failed = false;
+    for (const file of files) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            failed = true;
+            continue;
+        }
+
+        const kind = detectDataFileKind(file);
+        const errors = validateDataFile(data, kind);
+        if (errors.length === 0) {
+            console.log(`${file}: OK (${kind})`);
+        } else {
+            console.error(`${file}: ${errors.length} error${errors.length > 1 ? 's' : ''} (${kind})`);
+            for (const error of errors) {
+                console.error(`  ${error}`);
+            }
+            failed = true;
+        }
+    }
+
+    if (failed) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    SCHEMAS,
+    detectDataFileKind,
+    validateDataFile,
+    assertValidDataFile
+};
@@ -0,0 +1,220 @@
+/**
+ * Watchlist of tests, folders and Bugzilla components, stored in localStorage.
+ * Items are starred on issues.html and xpcshell-timings.html, and their
+ * failure, skip and timing status is summarized in the "My tests" panel of
+ * index.html.
+ *
+ * Relies on computeTestStats from common-test-data.js, and on escapeAttr from
+ * common-ui.js for the star buttons.
+ */
+
+const WATCHLIST_STORAGE_KEY = 'watchlist';
+const WATCH_ITEM_TYPES = ['test', 'folder', 'component'];
+
+// Pages get computeTestStats from common-test-data.js
+if (typeof module !== 'undefined' && module.exports) {
+    var { computeTestStats } = require('./common-test-data.js');
+}
+
+function getWatchKey(item) {
+    return `${item.harness}:${item.type}:${item.path}`;
+}
+
+/**
+ * Read a stored watchlist, dropping malformed and duplicate items.
+ * @param {string|null} json - The stored value, null when nothing is stored
+ * @returns {Array} [{ harness, type, path }] in the order they were added
+ */
+function parseWatchlist(json) {
+    let items;
+    try {
+        items = JSON.parse(json);
+    } catch (e) {
+        return [];
+    }
+    if (!Array.isArray(items)) return [];
+
+    const seen = new Set();
+    return items.filter(item => {
+        if (!item || typeof item.harness !== 'string' || typeof item.path !== 'string' ||
+            !WATCH_ITEM_TYPES.includes(item.type)) {
+            return false;
+        }
+        const key = getWatchKey(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    }).map(({ harness, type, path }) => ({ harness, type, path }));
+}
+
+// Keys of the watched items, so rendering thousands of rows reads localStorage once
+let watchedKeys = null;
+
+function loadWatchlist() {
+    try {
+        return parseWatchlist(localStorage.getItem(WATCHLIST_STORAGE_KEY));
+    } catch (e) {
+        // localStorage is unavailable (e.g. disabled by privacy settings)
+        return [];
+    }
+}
+
+function saveWatchlist(items) {
+    watchedKeys = null;
+    try {
+        localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(items));
+    } catch (e) {
+        console.warn('Could not save the watchlist:', e);
+    }
+}
+
+function isWatched(harness, type, path) {
+    if (!watchedKeys) {
+        watchedKeys = new Set(loadWatchlist().map(getWatchKey));
+    }
+    return watchedKeys.has(getWatchKey({ harness, type, path }));
+}
+
+// Pick up changes made in other tabs
+if (typeof window !== 'undefined') {
+    window.addEventListener('storage', event => {
+        if (event.key === WATCHLIST_STORAGE_KEY || event.key === null) {
+            watchedKeys = null;
+        }
+    });
+}
+
+/**
+ * Add an item to the watchlist, or remove it if it is already there.
+ * @returns {boolean} Whether the item is now watched
+ */
+function toggleWatched(harness, type, path) {
+    const key = getWatchKey({ harness, type, path });
+    const items = loadWatchlist();
+    const remaining = items.filter(item => getWatchKey(item) !== key);
+    const watched = remaining.length === items.length;
+    saveWatchlist(watched ? [...items, { harness, type, path }] : remaining);
+    return watched;
+}
+
+// Star button adding an item to the watchlist, shown with the other action
+// buttons of a row and kept visible while the item is watched
+function generateWatchButton(harness, type, path) {
+    const watched = isWatched(harness, type, path);
+    return `<button class="action-button watch-button${watched ? ' watched' : ''}" data-harness="${escapeAttr(harness)}" data-type="${type}" data-path="${escapeAttr(path)}" onclick="toggleWatchButton(this); event.stopPropagation();" title="${watched ? `Remove this ${type} from` : `Add this ${type} to`} My tests on the Test Health page">${watched ? '★' : '☆'}</button>`;
+}
+
+function toggleWatchButton(button) {
+    const { harness, type, path } = button.dataset;
+    const watched = toggleWatched(harness, type, path);
+
+    // The same item can have several rows (e.g. in views rendered earlier)
+    for (const other of document.querySelectorAll('.watch-button')) {
+        if (other.dataset.harness === harness && other.dataset.type === type && other.dataset.path === path) {
+            other.outerHTML = generateWatchButton(harness, type, path);
+        }
+    }
+    return watched;
+}
+
+function matchesWatchedItem(item, fullPath, component) {
+    switch (item.type) {
+        case 'test':
+            return fullPath === item.path;
+        case 'folder':
+            return fullPath.startsWith(item.path + '/');
+        case 'component':
+            return component === item.path;
+    }
+    return false;
+}
+
+// Call callback(testId, fullPath, component) for each test of a data file
+function forEachTest(data, callback) {
+    for (let testId = 0; testId < data.testRuns.length; testId++) {
+        if (!data.testRuns[testId]) continue;
+
+        const dirPath = data.tables.testPaths[data.testInfo.testPathIds[testId]];
+        const testName = data.tables.testNames[data.testInfo.testNameIds[testId]];
+        const fullPath = dirPath ? `${dirPath}/${testName}` : testName;
+        const componentId = data.testInfo.componentIds ? data.testInfo.componentIds[testId] : null;
+        const component = (componentId !== null && componentId !== undefined && data.tables.components) ? data.tables.components[componentId] : null;
+        callback(testId, fullPath, component);
+    }
+}
+
+/**
+ * Summarize the status of a watched item: its failures, timeouts, crashes and
+ * skips over a multi-day file, and the durations of its passing runs.
+ * @param {Object} item - { harness, type, path }
+ * @param {Object|null} issuesData - A multi-day file with the item's tests
+ *   (<harness>-issues-with-taskids.json, or the chunk file of a test), if
+ *   loaded
+ * @param {Object|null} timingsData - A file with the durations of passing runs:
+ *   a daily file, or a multi-day file with task IDs like the chunk files
+ * @returns {Object} { testCount, runCount, failCount, timeoutCount, crashCount,
+ *   skipCount, failureRate } from issuesData (null when it isn't loaded), and
+ *   { timedRuns, avgDuration, maxDuration } from timingsData, durations in ms
+ *   (null without passing runs)
+ */
+function summarizeWatchedItem(item, issuesData, timingsData) {
+    const summary = {
+        testCount: null, runCount: null, failCount: null, timeoutCount: null, crashCount: null, skipCount: null, failureRate: null,
+        timedRuns: 0, avgDuration: null, maxDuration: null
+    };
+
+    if (issuesData) {
+        Object.assign(summary, { testCount: 0, runCount: 0, failCount: 0, timeoutCount: 0, crashCount: 0, skipCount: 0 });
+        forEachTest(issuesData, (testId, fullPath, component) => {
+            if (!matchesWatchedItem(item, fullPath, component)) return;
+
+            const stats = computeTestStats(issuesData, testId);
+            summary.testCount++;
+            summary.runCount += stats.runCount;
+            summary.failCount += stats.failCount;
+            summary.timeoutCount += stats.timeoutCount;
+            summary.crashCount += stats.crashCount;
+            summary.skipCount += stats.skipCount;
+        });
+        const issueCount = summary.failCount + summary.timeoutCount + summary.crashCount;
+        summary.failureRate = summary.runCount > 0 ? issueCount / summary.runCount : 0;
+    }
+
+    if (timingsData) {
+        let totalDuration = 0;
+        forEachTest(timingsData, (testId, fullPath, component) => {
+            if (!matchesWatchedItem(item, fullPath, component)) return;
+
+            timingsData.testRuns[testId].forEach((statusGroup, statusId) => {
+                const status = timingsData.tables.statuses[statusId];
+                if (!statusGroup || !statusGroup.durations || !status || !status.startsWith('PASS')) return;
+
+                // Multi-day files keep durations in buckets per day and job name
+                const buckets = statusGroup.days !== undefined ? statusGroup.durations : [statusGroup.durations];
+                for (const bucket of buckets) {
+                    for (const duration of bucket) {
+                        summary.timedRuns++;
+                        totalDuration += duration;
+                        summary.maxDuration = Math.max(summary.maxDuration ?? 0, duration);
+                    }
+                }
+            });
+        });
+        if (summary.timedRuns > 0) {
+            summary.avgDuration = totalDuration / summary.timedRuns;
+        }
+    }
+
+    return summary;
+}
+
+// Export for use in other modules (if using modules)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseWatchlist,
+        isWatched,
+        toggleWatched,
+        matchesWatchedItem,
+        summarizeWatchedItem
+    };
+}